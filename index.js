@@ -8,7 +8,12 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const session = require('express-session');
 const mongoose = require('mongoose');
+const http = require('http');
 const https = require('https');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+const webpush = require('web-push');
 const dotenv = require('dotenv');
 dotenv.config();
 
@@ -16,21 +21,41 @@ dotenv.config();
 const User = require('./models/User');
 const Trip = require('./models/Trip');
 const UserData = require('./models/UserData');
+const Vehicle = require('./models/Vehicle');
+const RoutePoint = require('./models/RoutePoint');
+const TripRevision = require('./models/TripRevision');
+const GeocodeCache = require('./models/GeocodeCache');
+const Place = require('./models/Place');
+const ReimbursementRate = require('./models/ReimbursementRate');
+const FuelEntry = require('./models/FuelEntry');
+const Reminder = require('./models/Reminder');
+const PushSubscription = require('./models/PushSubscription');
+const Organisation = require('./models/Organisation');
+const OrganisationMember = require('./models/OrganisationMember');
+const AuthSession = require('./models/AuthSession');
+const DataExport = require('./models/DataExport');
+const RateLimitCounter = require('./models/RateLimitCounter');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET;
 
-// MongoDB connection
-mongoose.connect(process.env.MONGODB_URI).then(() => {
-    console.log('Connected to MongoDB successfully');
-}).catch((error) => {
-    console.error('MongoDB connection error:', error);
-    process.exit(1);
-});
+// MongoDB connection. The tests load this file for its helpers without a database or a server
+if (require.main === module) {
+    mongoose.connect(process.env.MONGODB_URI).then(() => {
+        console.log('Connected to MongoDB successfully');
+    }).catch((error) => {
+        console.error('MongoDB connection error:', error);
+        process.exit(1);
+    });
+}
 
 // Middleware
-app.use(cors());
+// Behind a load balancer set TRUST_PROXY (e.g. 1) so req.ip is the client's address for rate limiting
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+app.use(cors({ exposedHeaders: ['X-Access-Token'] }));
 app.use(bodyParser.json());
 app.use(session({
     secret: process.env.SESSION_SECRET || 'tripgo-session-secret',
@@ -43,24 +68,332 @@ app.use(session({
 }));
 app.use(express.static('public'));
 
+const ACCESS_TOKEN_TTL_MINUTES = parseFloat(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const REFRESH_TOKEN_TTL_DAYS = parseFloat(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Helper function to read the access token from the Authorization header, falling back to the browser session
+function getRequestToken(req) {
+    return req.headers['authorization']?.split(' ')[1] || req.session.token;
+}
+
+// Helper function to sign a short-lived access token for a session
+function signAccessToken(userId, username, sessionId) {
+    return jwt.sign(
+        { userId, username, sid: String(sessionId) },
+        JWT_SECRET,
+        { expiresIn: Math.round(ACCESS_TOKEN_TTL_MINUTES * 60) }
+    );
+}
+
+// Helper function to sign a token that only works on the trip tracking routes (see authenticateTripToken)
+function signTripToken(userId, username, sessionId) {
+    return jwt.sign(
+        { userId, username, sid: String(sessionId), scope: 'trip' },
+        JWT_SECRET,
+        { expiresIn: Math.round(ACCESS_TOKEN_TTL_MINUTES * 60) }
+    );
+}
+
+// Helper function to hash a refresh token - only hashes are stored
+function hashRefreshToken(refreshToken) {
+    return crypto.createHash('sha256').update(String(refreshToken)).digest('hex');
+}
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found even for a replayed token
+function generateRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+// Helper function to check that a session hasn't been signed out, revoked or left to expire
+async function isSessionActive(sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+        return false;
+    }
+    return Boolean(await AuthSession.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+}
+
+// Helper function to revoke every live session matching the filter
+async function revokeAuthSessions(filter, reason) {
+    const result = await AuthSession.updateMany(
+        { ...filter, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+}
+
+// Helper function to sign a user in on this device, returning the token pair for the response
+async function createAuthSession(req, user) {
+    const session = new AuthSession({
+        userId: user.email,
+        tokenHash: 'pending',
+        userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+        ipAddress: req.ip || '',
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+    const refreshToken = generateRefreshToken(session._id);
+    session.tokenHash = hashRefreshToken(refreshToken);
+    await session.save();
+    
+    return {
+        token: signAccessToken(user.email, user.fullName, session._id),
+        refreshToken,
+        expiresIn: Math.round(ACCESS_TOKEN_TTL_MINUTES * 60)
+    };
+}
+
+// Helper function to swap a refresh token for a new one (returns { session, refreshToken } or { error })
+async function rotateRefreshToken(refreshToken) {
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+        return { error: 'Invalid refresh token' };
+    }
+    
+    const session = await AuthSession.findById(sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        return { error: 'Your session has ended. Please sign in again.' };
+    }
+    
+    const tokenHash = hashRefreshToken(refreshToken);
+    
+    // A rotated-out token coming back means it was copied, so end the session for whoever holds it
+    if (tokenHash === session.previousTokenHash) {
+        await revokeAuthSessions({ _id: session._id }, 'token_reuse');
+        console.warn(`Refresh token reuse detected for ${session.userId}, session ${session._id} revoked`);
+        return { error: 'Your session has ended. Please sign in again.' };
+    }
+    
+    if (tokenHash !== session.tokenHash) {
+        return { error: 'Invalid refresh token' };
+    }
+    
+    // Only rotate if nobody else has in the meantime, so a token can be spent once
+    const nextRefreshToken = generateRefreshToken(session._id);
+    const now = new Date();
+    const rotated = await AuthSession.findOneAndUpdate(
+        { _id: session._id, tokenHash, revokedAt: null },
+        {
+            $set: {
+                tokenHash: hashRefreshToken(nextRefreshToken),
+                previousTokenHash: tokenHash,
+                lastUsedAt: now,
+                expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+            }
+        },
+        { new: true }
+    );
+    
+    if (!rotated) {
+        return { error: 'Refresh token has already been used' };
+    }
+    
+    return { session: rotated, refreshToken: nextRefreshToken };
+}
+
 // Authentication middleware
-function authenticateToken(req, res, next) {
-    const token = req.session.token || req.headers['authorization']?.split(' ')[1];
+async function authenticateToken(req, res, next) {
+    const token = getRequestToken(req);
     
     if (!token) {
         return res.status(401).json({ error: 'Access token required' });
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.userId = decoded.userId;
-        req.username = decoded.username;
-        next();
+        decoded = jwt.verify(token, JWT_SECRET);
     } catch (error) {
+        // Clients refresh and retry on token_expired
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Access token expired', code: 'token_expired' });
+        }
         return res.status(403).json({ error: 'Invalid token' });
     }
+    
+    // Trip tokens are handed out mid-drive without a refresh; the client refreshes and retries on 401
+    if (decoded.scope === 'trip') {
+        return res.status(401).json({ error: 'Trip tokens can only be used for trip tracking', code: 'token_expired' });
+    }
+    
+    try {
+        // Tokens signed before sessions existed carry no sid and simply run until they expire
+        if (decoded.sid && !await isSessionActive(decoded.sid)) {
+            return res.status(401).json({ error: 'Your session has ended. Please sign in again.', code: 'session_revoked' });
+        }
+    } catch (error) {
+        console.error('Error checking session:', error);
+        return res.status(500).json({ error: 'Failed to check session' });
+    }
+    
+    req.userId = decoded.userId;
+    req.username = decoded.username;
+    req.sessionId = decoded.sid || null;
+    next();
+}
+
+// Authentication for trip tracking. A phone can sleep or lose reception past the access token's expiry
+// mid-drive, so while a trip is active an access token that expired less than a refresh token lifetime
+// ago is still accepted as long as its session is live. A trip token, which only works on these routes,
+// is sent back in the X-Access-Token header
+async function authenticateTripToken(req, res, next) {
+    const token = getRequestToken(req);
+    
+    let decoded;
+    try {
+        decoded = token ? jwt.verify(token, JWT_SECRET, { ignoreExpiration: true }) : null;
+    } catch (error) {
+        decoded = null;
+    }
+    
+    if (!decoded || !decoded.exp) {
+        return authenticateToken(req, res, next);
+    }
+    
+    const expiredFor = Date.now() - decoded.exp * 1000;
+    const isTripToken = decoded.scope === 'trip';
+    if (!isTripToken && expiredFor < 0) {
+        return authenticateToken(req, res, next);
+    }
+    
+    // Tokens signed before sessions existed can't be revoked, so they get no grace period
+    if (!decoded.sid || expiredFor > REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(401).json({ error: 'Access token expired', code: 'token_expired' });
+    }
+    
+    try {
+        if (!await isSessionActive(decoded.sid)) {
+            return res.status(401).json({ error: 'Your session has ended. Please sign in again.', code: 'session_revoked' });
+        }
+        
+        if (expiredFor >= 0) {
+            const userData = await UserData.findOne({ userId: decoded.userId }, { activeTrip: 1 });
+            if (!userData || !userData.activeTrip) {
+                return res.status(401).json({ error: 'Access token expired', code: 'token_expired' });
+            }
+            res.set('X-Access-Token', signTripToken(decoded.userId, decoded.username, decoded.sid));
+        }
+    } catch (error) {
+        console.error('Error checking trip session:', error);
+        return res.status(500).json({ error: 'Failed to check session' });
+    }
+    
+    req.userId = decoded.userId;
+    req.username = decoded.username;
+    req.sessionId = decoded.sid;
+    next();
+}
+
+// Rate limits per route group, each with an optional per-IP and per-account window.
+// Override any of them with RATE_LIMIT_<GROUP>_<IP|ACCOUNT>=<limit>/<window seconds>, e.g. RATE_LIMIT_AUTH_IP=30/900
+const RATE_LIMIT_GROUPS = {
+    // Everything under /api; runs before authentication so it is per IP only
+    api: { ip: { limit: 600, windowSeconds: 60 } },
+    // Sign-in, registration and the emailed account links. The account is the email in the body
+    auth: { ip: { limit: 30, windowSeconds: 900 }, account: { limit: 10, windowSeconds: 900 } },
+    // Access token refreshes. Every device refreshes about every 15 minutes, so many devices behind
+    // one NAT need a wide IP budget; the account here is the session named in the refresh token
+    refresh: { ip: { limit: 1200, windowSeconds: 900 }, account: { limit: 10, windowSeconds: 900 } },
+    // GPS points and offline syncs from a trip in progress
+    tracking: { ip: { limit: 600, windowSeconds: 60 }, account: { limit: 120, windowSeconds: 60 } },
+    // PDF, CSV and archive generation
+    export: { account: { limit: 20, windowSeconds: 3600 } }
+};
+
+Object.entries(RATE_LIMIT_GROUPS).forEach(([group, scopes]) => {
+    ['ip', 'account'].forEach(scope => {
+        const override = process.env[`RATE_LIMIT_${group.toUpperCase()}_${scope.toUpperCase()}`];
+        const match = override && override.match(/^(\d+)\/(\d+)$/);
+        if (match) {
+            scopes[scope] = { limit: parseInt(match[1]), windowSeconds: parseInt(match[2]) };
+        } else if (override === 'off') {
+            delete scopes[scope];
+        }
+    });
+});
+
+// Helper function to count a request against a sliding window, returning { allowed, retryAfter }.
+// The window is approximated from fixed windows: the previous window's count is weighted by how
+// much of it still overlaps the sliding window. Rejected requests are not counted
+async function hitRateLimit(key, { limit, windowSeconds }) {
+    const windowMs = windowSeconds * 1000;
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    
+    const current = await RateLimitCounter.findOneAndUpdate(
+        { key, windowStart: new Date(windowStart) },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowStart + 2 * windowMs) } },
+        { upsert: true, new: true }
+    );
+    const previous = await RateLimitCounter.findOne({ key, windowStart: new Date(windowStart - windowMs) });
+    
+    const elapsed = (now - windowStart) / windowMs;
+    const previousCount = previous ? previous.count : 0;
+    
+    if (previousCount * (1 - elapsed) + current.count <= limit) {
+        return { allowed: true, retryAfter: 0 };
+    }
+    
+    await RateLimitCounter.updateOne({ _id: current._id }, { $inc: { count: -1 } });
+    
+    // Work out when one more request would fit, assuming no others arrive meanwhile
+    const currentCount = current.count - 1;
+    let waitFraction;
+    if (previousCount > 0 && currentCount < limit) {
+        // Still in this window, once enough of the previous window has slid out
+        waitFraction = (1 - (limit - 1 - currentCount) / previousCount) - elapsed;
+    } else {
+        // Into the next window, once enough of this one has slid out
+        waitFraction = (1 - elapsed) + Math.max(0, 1 - (limit - 1) / Math.max(currentCount, 1));
+    }
+    
+    return { allowed: false, retryAfter: Math.max(1, Math.ceil(waitFraction * windowSeconds)) };
+}
+
+// Helper function to send a 429 with Retry-After
+function sendTooManyRequests(res, retryAfter, message) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        error: message || `Too many requests. Please try again in ${moment.duration(retryAfter, 'seconds').humanize()}.`,
+        retryAfter
+    });
+}
+
+// Rate limiting middleware for a route group. Use it after authentication so the account limit
+// applies to req.userId; on public routes the account is the email in the request body, or the
+// session for refresh tokens
+function rateLimit(group) {
+    return async (req, res, next) => {
+        const scopes = RATE_LIMIT_GROUPS[group];
+        let account = req.userId || (typeof req.body?.email === 'string' ? req.body.email.toLowerCase().trim() : '');
+        if (!account && typeof req.body?.refreshToken === 'string') {
+            account = `session:${req.body.refreshToken.split('.')[0].slice(0, 24)}`;
+        }
+        
+        const checks = [];
+        if (scopes.ip) {
+            checks.push([`${group}:ip:${req.ip}`, scopes.ip]);
+        }
+        if (scopes.account && account) {
+            checks.push([`${group}:account:${account}`, scopes.account]);
+        }
+        
+        try {
+            for (const [key, window] of checks) {
+                const { allowed, retryAfter } = await hitRateLimit(key, window);
+                if (!allowed) {
+                    console.warn(`Rate limit hit for ${key} on ${req.method} ${req.originalUrl}`);
+                    return sendTooManyRequests(res, retryAfter);
+                }
+            }
+        } catch (error) {
+            // A limiter outage shouldn't take the whole API down with it
+            console.error('Rate limiter error:', error);
+        }
+        
+        next();
+    };
 }
 
+app.use('/api', rateLimit('api'));
+
 // Helper function to get user data
 async function getUserData(userId) {
     try {
@@ -94,30 +427,50 @@ async function updateUserData(userId, data) {
     }
 }
 
-// Helper function to calculate seconds until next 1 AM for JWT expiration
-function getSecondsUntilNext1AM() {
-    const now = new Date();
-    const next1AM = new Date();
-    
-    // Set to 1 AM today
-    next1AM.setHours(1, 0, 0, 0);
-    
-    // If current time is already past 1 AM today, set to 1 AM tomorrow
-    if (now >= next1AM) {
-        next1AM.setDate(next1AM.getDate() + 1);
+// Helper function to list the organisations a user belongs to
+async function getUserOrganisationIds(userId) {
+    const memberships = await OrganisationMember.find({ userId }, { organisationId: 1 });
+    return memberships.map(membership => membership.organisationId);
+}
+
+// Helper function to find a user's membership of an organisation
+async function getOrganisationMembership(userId, organisationId) {
+    if (!organisationId || !mongoose.Types.ObjectId.isValid(organisationId)) {
+        return null;
     }
-    
-    // Calculate difference in seconds
-    const diffMs = next1AM.getTime() - now.getTime();
-    const diffSeconds = Math.floor(diffMs / 1000);
-    
-    console.log(`Token will expire at: ${next1AM.toLocaleString()}, in ${Math.floor(diffSeconds / 3600)} hours and ${Math.floor((diffSeconds % 3600) / 60)} minutes`);
-    
-    return diffSeconds;
+    return OrganisationMember.findOne({ organisationId, userId });
 }
 
-// Helper function to calculate distance between two coordinates (Haversine formula)
-function calculateDistance(lat1, lon1, lat2, lon2) {
+// Owners and managers can review trips and look after fleet vehicles
+const ORGANISATION_MANAGER_ROLES = ['owner', 'manager'];
+
+// Helper function to check whether a user may edit or delete a vehicle
+async function canManageVehicle(userId, vehicle) {
+    if (vehicle.userId === userId) {
+        return true;
+    }
+    const membership = vehicle.organisationId ? await getOrganisationMembership(userId, vehicle.organisationId) : null;
+    return Boolean(membership && ORGANISATION_MANAGER_ROLES.includes(membership.role));
+}
+
+// Helper function to build a query for vehicles the user owns or shares through an organisation
+async function accessibleVehicleQuery(userId) {
+    const organisationIds = await getUserOrganisationIds(userId);
+    return organisationIds.length > 0
+        ? { $or: [{ userId }, { organisationId: { $in: organisationIds } }] }
+        : { userId };
+}
+
+// Helper function to find a vehicle belonging to the user, or shared with them through an organisation
+async function getUserVehicle(userId, vehicleId) {
+    if (!vehicleId || !mongoose.Types.ObjectId.isValid(vehicleId)) {
+        return null;
+    }
+    return Vehicle.findOne({ _id: vehicleId, ...(await accessibleVehicleQuery(userId)) });
+}
+
+// Helper function to calculate the unrounded distance in km between two coordinates (Haversine formula)
+function haversineDistance(lat1, lon1, lat2, lon2) {
     const R = 6371; // Radius of the Earth in km
     const dLat = (lat2 - lat1) * Math.PI / 180;
     const dLon = (lon2 - lon1) * Math.PI / 180;
@@ -125,10 +478,251 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
         Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
         Math.sin(dLon / 2) * Math.sin(dLon / 2);
     const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    const distance = R * c;
+    return R * c;
+}
+
+// Helper function to calculate distance between two coordinates (Haversine formula)
+function calculateDistance(lat1, lon1, lat2, lon2) {
+    const distance = haversineDistance(lat1, lon1, lat2, lon2);
     return Math.round(distance * 100) / 100; // Round to 2 decimal places
 }
 
+// GPS route cleaning thresholds
+const ROUTE_MAX_ACCURACY_METERS = parseFloat(process.env.ROUTE_MAX_ACCURACY_METERS) || 50;
+const ROUTE_MAX_SPEED_KMH = parseFloat(process.env.ROUTE_MAX_SPEED_KMH) || 200;
+const ROUTE_STATIONARY_RADIUS_METERS = parseFloat(process.env.ROUTE_STATIONARY_RADIUS_METERS) || 15;
+
+// Helper function to sum the distance along a list of route points
+function measureRouteDistance(points) {
+    let distance = 0;
+    for (let i = 1; i < points.length; i++) {
+        distance += haversineDistance(points[i - 1].latitude, points[i - 1].longitude, points[i].latitude, points[i].longitude);
+    }
+    return Math.round(distance * 100) / 100;
+}
+
+// Helper function to clean recorded GPS fixes before measuring a route
+function cleanRoutePoints(routePoints) {
+    const stats = { totalPoints: 0, keptPoints: 0, droppedInaccurate: 0, droppedSpeedOutliers: 0, droppedStationary: 0 };
+    const points = (routePoints || [])
+        .filter(point => typeof point.latitude === 'number' && typeof point.longitude === 'number' && point.timestamp)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    stats.totalPoints = points.length;
+    
+    const cleaned = [];
+    let consecutiveOutliers = 0;
+    for (const point of points) {
+        // An accuracy of 0 means the client did not report one
+        if (point.accuracy && point.accuracy > ROUTE_MAX_ACCURACY_METERS) {
+            stats.droppedInaccurate++;
+            continue;
+        }
+        
+        const previous = cleaned[cleaned.length - 1];
+        if (previous) {
+            const distanceKm = haversineDistance(previous.latitude, previous.longitude, point.latitude, point.longitude);
+            const hours = (new Date(point.timestamp) - new Date(previous.timestamp)) / 3600000;
+            
+            // A jump faster than a car can travel is a bad fix, unless several fixes in a row
+            // agree - then the last kept fix was the bad one and we follow the new position
+            if ((hours <= 0 || distanceKm / hours > ROUTE_MAX_SPEED_KMH) && consecutiveOutliers < 3) {
+                consecutiveOutliers++;
+                stats.droppedSpeedOutliers++;
+                continue;
+            }
+            consecutiveOutliers = 0;
+            
+            // While stationary, fixes wander within their accuracy radius - don't count that as travel
+            const noiseRadiusMeters = Math.max(ROUTE_STATIONARY_RADIUS_METERS, previous.accuracy || 0, point.accuracy || 0);
+            if (distanceKm * 1000 < noiseRadiusMeters) {
+                stats.droppedStationary++;
+                continue;
+            }
+        }
+        
+        cleaned.push(point);
+    }
+    
+    stats.keptPoints = cleaned.length;
+    return {
+        points: cleaned,
+        rawDistance: measureRouteDistance(points),
+        cleanedDistance: measureRouteDistance(cleaned),
+        stats
+    };
+}
+
+const ROUTE_SIMPLIFY_TOLERANCE_METERS = parseFloat(process.env.ROUTE_SIMPLIFY_TOLERANCE_METERS) || 5;
+
+// Helper function to simplify a route with the Douglas-Peucker algorithm
+function simplifyRoutePoints(points, toleranceMeters = ROUTE_SIMPLIFY_TOLERANCE_METERS) {
+    if (points.length <= 2) {
+        return points;
+    }
+    
+    // Project onto a flat plane in metres around the first point - accurate enough at trip scale
+    const R = 6371000;
+    const originLatitude = points[0].latitude * Math.PI / 180;
+    const projected = points.map(point => ({
+        x: point.longitude * Math.PI / 180 * Math.cos(originLatitude) * R,
+        y: point.latitude * Math.PI / 180 * R
+    }));
+    
+    const distanceToSegment = (point, start, end) => {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared));
+        return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+    };
+    
+    const keep = new Array(points.length).fill(false);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+    
+    // Iterative rather than recursive so very long drives can't overflow the stack
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let maxDistance = 0;
+        let index = -1;
+        
+        for (let i = first + 1; i < last; i++) {
+            const distance = distanceToSegment(projected[i], projected[first], projected[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+        
+        if (index !== -1 && maxDistance > toleranceMeters) {
+            keep[index] = true;
+            stack.push([first, index], [index, last]);
+        }
+    }
+    
+    return points.filter((point, i) => keep[i]);
+}
+
+// Helper function to store GPS fixes for a trip, skipping client ids that are already stored
+async function appendRoutePoints(userId, tripId, points) {
+    const clientIds = points.map(point => point.clientId).filter(Boolean);
+    const existingPoints = clientIds.length > 0
+        ? await RoutePoint.find({ userId, tripId, clientId: { $in: clientIds } }, { clientId: 1 })
+        : [];
+    const seen = new Set(existingPoints.map(point => point.clientId));
+    const accepted = [];
+    const duplicates = [];
+    const documents = [];
+    
+    for (const { id, ...point } of points) {
+        if (point.clientId && seen.has(point.clientId)) {
+            duplicates.push(id);
+            continue;
+        }
+        if (point.clientId) {
+            seen.add(point.clientId);
+        }
+        documents.push({ ...point, userId, tripId });
+        accepted.push(id);
+    }
+    
+    if (documents.length > 0) {
+        await RoutePoint.insertMany(documents, { ordered: false });
+    }
+    
+    return { accepted, duplicates };
+}
+
+// Helper function to move a completed trip's route into the RoutePoint collection. Trips recorded before
+// the collection existed only have it on the trip, so this must run before late points are added or they
+// would be all that getFullRoutePoints returns
+async function migrateEmbeddedRoutePoints(userId, trip) {
+    if (!trip.routePoints || trip.routePoints.length === 0 || await RoutePoint.exists({ userId, tripId: trip.id })) {
+        return;
+    }
+    
+    await appendRoutePoints(userId, trip.id, trip.routePoints.map(point => ({
+        latitude: point.latitude,
+        longitude: point.longitude,
+        accuracy: point.accuracy || 0,
+        timestamp: point.timestamp,
+        clientId: point.clientId
+    })));
+}
+
+// Helper function to load a trip's full-resolution route in timestamp order
+async function getFullRoutePoints(userId, trip) {
+    const points = await RoutePoint.find({ userId, tripId: trip.id }).sort({ timestamp: 1 }).lean();
+    
+    // Trips recorded before route points had their own collection only have them on the trip
+    if (points.length === 0) {
+        return (trip.routePoints || []).map(point => (point.toObject ? point.toObject() : point));
+    }
+    
+    return points;
+}
+
+// Helper function to split a route into the segments recorded between pauses, dropping paused fixes
+function splitRouteAtPauses(points, pauseIntervals = []) {
+    const intervals = (pauseIntervals || []).map(interval => ({
+        pausedAt: new Date(interval.pausedAt),
+        resumedAt: interval.resumedAt ? new Date(interval.resumedAt) : null
+    })).sort((a, b) => a.pausedAt - b.pausedAt);
+    const segments = intervals.map(() => []).concat([[]]);
+    let pausedPoints = 0;
+    
+    [...points]
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .forEach(point => {
+            const timestamp = new Date(point.timestamp);
+            const isPaused = intervals.some(interval =>
+                timestamp >= interval.pausedAt && (!interval.resumedAt || timestamp <= interval.resumedAt));
+            if (isPaused) {
+                pausedPoints++;
+                return;
+            }
+            segments[intervals.filter(interval => interval.pausedAt <= timestamp).length].push(point);
+        });
+    
+    return { segments: segments.filter(segment => segment.length > 0), pausedPoints };
+}
+
+// Helper function to measure a full route and reduce it to the geometry stored on the Trip
+function buildRouteGeometry(fullPoints, pauseIntervals = []) {
+    const sortedPoints = [...fullPoints].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const { segments, pausedPoints } = splitRouteAtPauses(sortedPoints, pauseIntervals);
+    
+    // Each segment is cleaned on its own so paused stretches never count as travel
+    const cleanedSegments = segments.map(cleanRoutePoints);
+    const stats = { totalPoints: sortedPoints.length, keptPoints: 0, droppedInaccurate: 0, droppedSpeedOutliers: 0, droppedStationary: 0, droppedPaused: pausedPoints };
+    cleanedSegments.forEach(segment => {
+        ['keptPoints', 'droppedInaccurate', 'droppedSpeedOutliers', 'droppedStationary'].forEach(key => {
+            stats[key] += segment.stats[key];
+        });
+    });
+    
+    const routeCleaning = {
+        points: cleanedSegments.flatMap(segment => segment.points),
+        rawDistance: measureRouteDistance(sortedPoints),
+        cleanedDistance: Math.round(cleanedSegments.reduce((sum, segment) => sum + segment.cleanedDistance, 0) * 100) / 100,
+        stats
+    };
+    
+    const baseSegments = routeCleaning.points.length >= 2 ? cleanedSegments.map(segment => segment.points) : [sortedPoints];
+    
+    return {
+        routeCleaning,
+        routePointCount: fullPoints.length,
+        routePoints: baseSegments.flatMap(points => simplifyRoutePoints(points)).map(point => ({
+            latitude: point.latitude,
+            longitude: point.longitude,
+            timestamp: point.timestamp,
+            accuracy: point.accuracy || 0
+        }))
+    };
+}
+
 // Custom rounding function based on business rule
 function roundDistance(value) {
     if (typeof value !== 'number' || isNaN(value)) return 0;
@@ -144,139 +738,765 @@ function roundDistance(value) {
     }
 }
 
-// Helper function to get area name from coordinates using reverse geocoding
-async function getAreaFromCoordinates(latitude, longitude) {
-    try {
-        // Add a small delay to respect API rate limits (1 request per second for Nominatim)
-        await new Promise(resolve => setTimeout(resolve, 1100));
-        
-        // Using OpenStreetMap Nominatim API for reverse geocoding (free service)
-        const url = `https://nominatim.openstreetmap.org/reverse?format=json&lat=${latitude}&lon=${longitude}&zoom=10&addressdetails=1`;
-        
-        return new Promise((resolve, reject) => {
-            const options = {
-                headers: {
-                    'User-Agent': 'TripGo-App/1.0 (trip-tracking-application)'
+// Reverse geocoding configuration:
+// GEOCODER_PROVIDERS          ordered, comma-separated list of providers, later ones are fallbacks (default nominatim)
+//                             nominatim - OpenStreetMap's reverse geocoder, public or self-hosted
+//                             gazetteer - nearest place in a local JSON file, for servers without network access
+// NOMINATIM_URL               Nominatim server (default the public https://nominatim.openstreetmap.org)
+// NOMINATIM_MIN_INTERVAL_MS   gap between Nominatim requests across all instances (default 1100 for the
+//                             public server, whose usage policy is 1 request per second, otherwise 0)
+// GEOCODER_GAZETTEER_FILE     place list for the gazetteer provider (default data/gazetteer.json), a JSON array
+//                             of { latitude, longitude, suburb, city, state, postcode, country }. Not shipped with
+//                             the app: the server refuses to start with the gazetteer provider until it exists
+// GEOCODER_GAZETTEER_MAX_KM   how far away the nearest place may be before the gazetteer has no answer (default 25)
+// GEOCODE_CACHE_PRECISION     decimal places of the cache key; 3 gives ~110 m grid cells
+const GEOCODER_PROVIDERS = (process.env.GEOCODER_PROVIDERS || 'nominatim').split(',').map(name => name.trim()).filter(Boolean);
+const NOMINATIM_URL = (process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org').replace(/\/+$/, '');
+const GEOCODE_CACHE_PRECISION = parseInt(process.env.GEOCODE_CACHE_PRECISION) || 3;
+const GEOCODER_GAZETTEER_FILE = process.env.GEOCODER_GAZETTEER_FILE || path.join(__dirname, 'data', 'gazetteer.json');
+const GEOCODER_GAZETTEER_MAX_KM = parseFloat(process.env.GEOCODER_GAZETTEER_MAX_KM) || 25;
+const UNKNOWN_LOCATION = { area: 'Unknown Area', suburb: null, city: null, state: null, postcode: null, country: null, displayName: null };
+
+// Helper function to create a queue that runs tasks one at a time with a minimum gap between them.
+// With a shared key the gap is also held across every instance through the rate limit counters
+function createRateLimitedQueue(minIntervalMs, sharedKey) {
+    let lastRun = 0;
+    let tail = Promise.resolve();
+    
+    return (task) => {
+        const run = tail.then(async () => {
+            const wait = lastRun + minIntervalMs - Date.now();
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+            while (sharedKey && minIntervalMs > 0) {
+                let slot;
+                try {
+                    slot = await hitRateLimit(sharedKey, { limit: 1, windowSeconds: minIntervalMs / 1000 });
+                } catch (error) {
+                    // Fall back to this instance's own spacing rather than stopping lookups
+                    console.error('Error checking shared rate limit:', error.message);
+                    break;
                 }
-            };
-            
-            const req = https.get(url, options, (res) => {
-                let data = '';
-                
-                res.on('data', (chunk) => {
-                    data += chunk;
-                });
-                
-                res.on('end', () => {
-                    try {
-                        console.log('Geocoding API response status:', res.statusCode);
-                        if (res.statusCode !== 200) {
-                            console.error('Geocoding API error, status:', res.statusCode, 'response:', data);
-                            resolve('Unknown Area');
-                            return;
-                        }
-                        
-                        const response = JSON.parse(data);
-                        console.log('Parsed geocoding response:', JSON.stringify(response, null, 2));
-                        
-                        if (response && response.address) {
-                            // Try to get city, town, village, or county
-                            const area = response.address.city || 
-                                        response.address.town || 
-                                        response.address.village || 
-                                        response.address.county || 
-                                        response.address.state || 
-                                        'Unknown Area';
-                            console.log('Resolved area:', area);
-                            resolve(area);
-                        } else {
-                            console.log('No address in response, using Unknown Area');
-                            resolve('Unknown Area');
-                        }
-                    } catch (error) {
-                        console.error('Error parsing geocoding response:', error);
-                        console.error('Raw response data:', data);
-                        resolve('Unknown Area');
-                    }
-                });
-            }).on('error', (error) => {
-                console.error('Error in reverse geocoding:', error);
-                resolve('Unknown Area');
+                if (slot.allowed) {
+                    break;
+                }
+                await new Promise(resolve => setTimeout(resolve, slot.retryAfter * 1000));
+            }
+            try {
+                return await task();
+            } finally {
+                lastRun = Date.now();
+            }
+        });
+        tail = run.catch(() => {});
+        return run;
+    };
+}
+
+// Helper function to fetch JSON over http or https
+function fetchJson(url, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+        const req = client.get(url, { headers }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => {
+                data += chunk;
             });
-            
-            req.setTimeout(15000, () => {
-                console.log('Geocoding request timeout - using fallback');
-                req.destroy();
-                resolve('Unknown Area');
+            res.on('end', () => {
+                if (res.statusCode !== 200) {
+                    return reject(new Error(`Request failed with status ${res.statusCode}: ${data.slice(0, 200)}`));
+                }
+                try {
+                    resolve(JSON.parse(data));
+                } catch (error) {
+                    reject(error);
+                }
             });
+        }).on('error', reject);
+        
+        req.setTimeout(15000, () => {
+            req.destroy(new Error('Request timed out'));
         });
-    } catch (error) {
-        console.error('Error in getAreaFromCoordinates:', error);
-        return 'Unknown Area';
+    });
+}
+
+// Lazily loaded offline gazetteer: a JSON array of { latitude, longitude, suburb, city, state, postcode, country }
+let gazetteerPlaces = null;
+function loadGazetteer() {
+    if (!gazetteerPlaces) {
+        gazetteerPlaces = JSON.parse(fs.readFileSync(GEOCODER_GAZETTEER_FILE, 'utf8'))
+            .filter(place => typeof place.latitude === 'number' && typeof place.longitude === 'number');
+        console.log(`Loaded ${gazetteerPlaces.length} gazetteer places from ${GEOCODER_GAZETTEER_FILE}`);
     }
+    return gazetteerPlaces;
 }
 
-// Routes
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+// Reverse geocoding providers. Each returns a location or null when it has no answer,
+// and throws when it couldn't be asked so the next provider gets a turn.
+const geocodingProviders = {
+    // OpenStreetMap Nominatim, public or self-hosted
+    nominatim: {
+        minIntervalMs: parseInt(process.env.NOMINATIM_MIN_INTERVAL_MS) || (process.env.NOMINATIM_URL ? 0 : 1100),
+        async reverse(latitude, longitude) {
+            const url = `${NOMINATIM_URL}/reverse?format=json&lat=${latitude}&lon=${longitude}&zoom=14&addressdetails=1`;
+            const response = await fetchJson(url, { 'User-Agent': 'TripGo-App/1.0 (trip-tracking-application)' });
+            
+            if (!response || !response.address) {
+                return null;
+            }
+            
+            const address = response.address;
+            const city = address.city || address.town || address.village || null;
+            return {
+                // Keep the area at city level so existing trips and new trips group together
+                area: city || address.county || address.state || 'Unknown Area',
+                suburb: address.suburb || address.neighbourhood || address.hamlet || null,
+                city,
+                state: address.state || null,
+                postcode: address.postcode || null,
+                country: address.country || null,
+                displayName: response.display_name || null
+            };
+        }
+    },
+    // Offline lookup of the nearest known place, for environments without network access
+    gazetteer: {
+        minIntervalMs: 0,
+        async reverse(latitude, longitude) {
+            let nearest = null;
+            let nearestDistance = Infinity;
+            
+            for (const place of loadGazetteer()) {
+                const distance = haversineDistance(latitude, longitude, place.latitude, place.longitude);
+                if (distance < nearestDistance) {
+                    nearest = place;
+                    nearestDistance = distance;
+                }
+            }
+            
+            if (!nearest || nearestDistance > GEOCODER_GAZETTEER_MAX_KM) {
+                return null;
+            }
+            
+            return {
+                area: nearest.city || nearest.suburb || nearest.state || 'Unknown Area',
+                suburb: nearest.suburb || null,
+                city: nearest.city || null,
+                state: nearest.state || null,
+                postcode: nearest.postcode || null,
+                country: nearest.country || null,
+                displayName: [nearest.suburb, nearest.city, nearest.state, nearest.postcode].filter(Boolean).join(', ')
+            };
+        }
+    }
+};
 
-// Health check endpoint for Docker
-app.get('/health', (req, res) => {
-    res.status(200).json({ status: 'OK', timestamp: new Date().toISOString() });
+// A misconfigured geocoder would otherwise only show up as every trip landing in 'Unknown Area'
+GEOCODER_PROVIDERS.forEach(name => {
+    if (!geocodingProviders[name]) {
+        console.error(`Unknown geocoding provider in GEOCODER_PROVIDERS: ${name}`);
+        process.exit(1);
+    }
 });
-
-// Test endpoint for geocoding
-app.get('/test-geocoding/:lat/:lng', async (req, res) => {
+if (GEOCODER_PROVIDERS.includes('gazetteer')) {
     try {
-        const { lat, lng } = req.params;
-        const area = await getAreaFromCoordinates(parseFloat(lat), parseFloat(lng));
-        res.json({ 
-            coordinates: { lat: parseFloat(lat), lng: parseFloat(lng) },
-            area: area 
-        });
+        if (loadGazetteer().length === 0) {
+            throw new Error('it has no places with coordinates');
+        }
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        console.error(`The gazetteer geocoder cannot use ${GEOCODER_GAZETTEER_FILE} (${error.message}). Set GEOCODER_GAZETTEER_FILE to a JSON place list.`);
+        process.exit(1);
     }
-});
+}
 
-// Endpoint to update existing trips with missing area names
-app.post('/update-trip-areas', async (req, res) => {
-    try {
-        console.log('Starting to update trips with missing area names...');
-        
-        // Find trips that have coordinates but missing area names
-        const tripsToUpdate = await Trip.find({
-            $or: [
-                { startArea: { $in: ['Unknown Area', null, undefined, ''] } },
-                { endArea: { $in: ['Unknown Area', null, undefined, ''] } }
-            ]
-        });
+// Each provider gets one queue shared by every request (and every instance), so rate limits hold under load
+const geocodingQueues = {};
+// Lookups already in flight, so simultaneous requests for the same spot share one call
+const pendingGeocodes = new Map();
 
-        console.log(`Found ${tripsToUpdate.length} trips that need area updates`);
+// Helper function to reverse geocode coordinates through the cache and configured providers
+async function reverseGeocode(latitude, longitude) {
+    if (typeof latitude !== 'number' || typeof longitude !== 'number' || isNaN(latitude) || isNaN(longitude)) {
+        return { ...UNKNOWN_LOCATION };
+    }
+    
+    const key = `${latitude.toFixed(GEOCODE_CACHE_PRECISION)},${longitude.toFixed(GEOCODE_CACHE_PRECISION)}`;
+    
+    if (pendingGeocodes.has(key)) {
+        return pendingGeocodes.get(key);
+    }
+    
+    const lookup = (async () => {
+        try {
+            const cached = await GeocodeCache.findOne({ key }).lean();
+            if (cached) {
+                return { ...UNKNOWN_LOCATION, ...cached.result };
+            }
+        } catch (error) {
+            console.error('Error reading geocode cache:', error);
+        }
+        
+        for (const name of GEOCODER_PROVIDERS) {
+            const provider = geocodingProviders[name];
+            if (!provider) {
+                console.error('Unknown geocoding provider:', name);
+                continue;
+            }
+            
+            if (!geocodingQueues[name]) {
+                geocodingQueues[name] = createRateLimitedQueue(provider.minIntervalMs || 0, `geocoder:${name}`);
+            }
+            
+            try {
+                const location = await geocodingQueues[name](() => provider.reverse(latitude, longitude));
+                if (!location) {
+                    continue;
+                }
+                
+                const result = { ...UNKNOWN_LOCATION, ...location };
+                console.log(`Resolved ${key} via ${name}:`, result.area);
+                
+                await GeocodeCache.findOneAndUpdate(
+                    { key },
+                    { key, provider: name, result, createdAt: new Date() },
+                    { upsert: true }
+                ).catch(error => console.error('Error writing geocode cache:', error));
+                
+                return result;
+            } catch (error) {
+                console.error(`Geocoding provider ${name} failed:`, error.message);
+            }
+        }
+        
+        return { ...UNKNOWN_LOCATION };
+    })();
+    
+    pendingGeocodes.set(key, lookup);
+    try {
+        return await lookup;
+    } finally {
+        pendingGeocodes.delete(key);
+    }
+}
+
+// Helper function to get area name from coordinates using reverse geocoding
+async function getAreaFromCoordinates(latitude, longitude) {
+    try {
+        const location = await reverseGeocode(latitude, longitude);
+        return location.area;
+    } catch (error) {
+        console.error('Error in getAreaFromCoordinates:', error);
+        return 'Unknown Area';
+    }
+}
+
+// Helper function to keep the address details stored alongside an area name
+function toTripLocation(location) {
+    const { suburb, city, state, postcode, country } = location;
+    return { suburb, city, state, postcode, country };
+}
+
+// Helper function to find the saved place (if any) whose radius contains the given coordinates
+async function findMatchingPlace(userId, latitude, longitude, places) {
+    const candidates = places || await Place.find({ userId }).lean();
+    let match = null;
+    let matchDistance = Infinity;
+    
+    for (const place of candidates) {
+        const distanceMeters = haversineDistance(latitude, longitude, place.latitude, place.longitude) * 1000;
+        if (distanceMeters <= place.radius && distanceMeters < matchDistance) {
+            match = place;
+            matchDistance = distanceMeters;
+        }
+    }
+    
+    return match;
+}
+
+// Helper function to name a trip location, preferring the user's saved places over reverse geocoding
+async function resolveTripLocation(userId, latitude, longitude, place) {
+    const matchedPlace = place === undefined ? await findMatchingPlace(userId, latitude, longitude) : place;
+    if (matchedPlace) {
+        return { area: matchedPlace.name, location: null, place: matchedPlace };
+    }
+    
+    const location = await reverseGeocode(latitude, longitude);
+    return { area: location.area, location: toTripLocation(location), place: null };
+}
+
+// Helper function to measure each leg of a trip between its start, stops and end
+function buildTripLegs(trip, stops, routePoints, end) {
+    const waypoints = [
+        { area: trip.startArea, latitude: trip.startLatitude, longitude: trip.startLongitude, departureTime: trip.startTime },
+        ...stops,
+        { area: end.area, latitude: end.latitude, longitude: end.longitude, arrivalTime: end.time }
+    ];
+    const legs = [];
+    
+    for (let i = 1; i < waypoints.length; i++) {
+        const from = waypoints[i - 1];
+        const to = waypoints[i];
+        const departureTime = new Date(from.departureTime || from.arrivalTime);
+        const arrivalTime = new Date(to.arrivalTime);
+        const legPoints = routePoints.filter(point => {
+            const timestamp = new Date(point.timestamp);
+            return timestamp >= departureTime && timestamp <= arrivalTime;
+        });
+        const hasRoute = legPoints.length >= 2;
+        
+        legs.push({
+            fromArea: from.area || 'Unknown Area',
+            toArea: to.area || 'Unknown Area',
+            departureTime,
+            arrivalTime,
+            distance: hasRoute
+                ? measureRouteDistance(legPoints)
+                : calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude),
+            distanceSource: hasRoute ? 'GPS route' : 'straight-line calculation'
+        });
+    }
+    
+    return legs;
+}
+
+// Helper function to complete the user's active trip and save it to the Trip collection
+async function completeActiveTrip(userData, { latitude, longitude, gpsDistance, actualTravelledDistance, userProvidedEndOdometer, endTime }) {
+    const trip = userData.activeTrip;
+    const tripEndTime = endTime || new Date();
+    
+    // A trip ended while paused finishes its pause at the end time
+    const pauseIntervals = (trip.pauseIntervals || []).map(interval => ({
+        pausedAt: new Date(interval.pausedAt),
+        resumedAt: interval.resumedAt ? new Date(interval.resumedAt) : tripEndTime
+    }));
+    const elapsedTime = Math.max(0, Math.round((tripEndTime - new Date(trip.startTime)) / 1000));
+    const pausedTime = Math.round(pauseIntervals.reduce((sum, interval) => sum + (interval.resumedAt - interval.pausedAt), 0) / 1000);
+    
+    // Trips recorded against a vehicle use that vehicle's odometer
+    const vehicle = trip.vehicleId ? await getUserVehicle(userData.userId, trip.vehicleId) : null;
+    const currentOdometer = vehicle ? vehicle.currentOdometer : userData.currentOdometer;
+    
+    // Calculate straight-line distance as fallback
+    const straightLineDistance = calculateDistance(
+        trip.startLatitude,
+        trip.startLongitude,
+        latitude,
+        longitude
+    );
+    
+    // Points recorded before the RoutePoint collection existed are moved across first
+    if (trip.routePoints && trip.routePoints.length > 0) {
+        await appendRoutePoints(userData.userId, trip.id, trip.routePoints.map(point => ({
+            latitude: point.latitude,
+            longitude: point.longitude,
+            accuracy: point.accuracy || 0,
+            timestamp: point.timestamp,
+            clientId: point.clientId
+        })));
+    }
+    
+    // Recompute the route distance from the stored GPS fixes rather than trusting the client
+    const fullRoutePoints = await RoutePoint.find({ userId: userData.userId, tripId: trip.id }).sort({ timestamp: 1 }).lean();
+    const { routeCleaning, routePoints, routePointCount } = buildRouteGeometry(fullRoutePoints, pauseIntervals);
+    console.log('Trip End - Route cleaning:', JSON.stringify(routeCleaning.stats), 'Raw:', routeCleaning.rawDistance, 'km, Cleaned:', routeCleaning.cleanedDistance, 'km');
+    
+    // Determine the distance to use based on user input
+    let finalDistance;
+    let distanceSource;
+    
+    if (userProvidedEndOdometer !== null && userProvidedEndOdometer !== undefined) {
+        // User provided end odometer reading - calculate distance from odometer difference
+        finalDistance = actualTravelledDistance;
+        distanceSource = 'odometer reading';
+        console.log('Using user-provided odometer reading. Distance:', finalDistance, 'km');
+    } else if (routeCleaning.points.length >= 2 && routeCleaning.cleanedDistance > 0.01) {
+        // Use the server-side cleaned route distance
+        finalDistance = routeCleaning.cleanedDistance;
+        distanceSource = 'cleaned GPS route';
+        console.log('Using cleaned GPS route distance:', finalDistance, 'km');
+    } else if (gpsDistance && gpsDistance > 0.01) {
+        // Use GPS distance if available and reasonable
+        finalDistance = gpsDistance;
+        distanceSource = 'GPS tracking';
+        console.log('Using GPS route distance:', finalDistance, 'km');
+    } else {
+        // Fall back to straight-line distance
+        finalDistance = straightLineDistance;
+        distanceSource = 'straight-line calculation';
+        console.log('GPS tracking failed, using straight-line distance:', finalDistance, 'km');
+    }
+    
+    // Apply custom rounding logic to the final distance
+    const roundedDistance = roundDistance(finalDistance);
+    
+    console.log('Trip End - GPS Distance:', gpsDistance, 'km, Straight-line Distance:', straightLineDistance, 'km, Using:', finalDistance, 'km (', distanceSource, '), Rounded:', roundedDistance, 'km');
+    console.log('Trip coordinates - Start:', trip.startLatitude, trip.startLongitude, 'End:', latitude, longitude);
+    
+    // Get both start and end area from coordinates to ensure they're included
+    const startArea = trip.startArea || await getAreaFromCoordinates(trip.startLatitude, trip.startLongitude);
+    const end = await resolveTripLocation(userData.userId, latitude, longitude);
+    const endArea = end.area;
+    
+    // Per-leg distances only make sense once the trip has stops
+    const stops = trip.stops || [];
+    const legs = stops.length > 0
+        ? buildTripLegs({ ...trip, startArea }, stops, routeCleaning.points, { area: endArea, latitude, longitude, time: tripEndTime })
+        : [];
+    
+    // Calculate end odometer based on user input or GPS distance
+    let newEndOdometer;
+    if (userProvidedEndOdometer !== null && userProvidedEndOdometer !== undefined) {
+        // User provided end odometer reading - use that as the new odometer value
+        newEndOdometer = roundDistance(userProvidedEndOdometer);
+        console.log('Using user-provided end odometer:', newEndOdometer, 'km');
+    } else {
+        // Use current odometer + calculated distance
+        newEndOdometer = roundDistance(currentOdometer + roundedDistance);
+        console.log('Calculated end odometer from distance:', newEndOdometer, 'km');
+    }
+    
+    const { paused, ...tripDetails } = trip;
+    const completedTrip = {
+        ...tripDetails,
+        endDate: trip.startDate, 
+        endLatitude: latitude,
+        endLongitude: longitude,
+        startArea: startArea,
+        endArea: endArea,
+        endLocation: end.location,
+        endPlaceId: end.place ? end.place._id : null,
+        // Trips in a fleet vehicle are visible to the fleet's managers
+        organisationId: vehicle ? vehicle.organisationId : null,
+        // Trips captured without a purpose pick up the destination's default
+        purpose: trip.purpose || (end.place && end.place.defaultPurpose) || 'Not specified',
+        endTime: tripEndTime.toISOString(),
+        stops,
+        legs,
+        pauseIntervals,
+        elapsedTime,
+        pausedTime,
+        movingTime: Math.max(0, elapsedTime - pausedTime),
+        gpsDistance: gpsDistance || 0, // Store original GPS distance for reference
+        rawRouteDistance: routeCleaning.rawDistance,
+        cleanedRouteDistance: routeCleaning.cleanedDistance,
+        routeCleaning: routeCleaning.stats,
+        endOdometer: newEndOdometer,
+        totalDistance: roundedDistance,
+        distanceSource: distanceSource, // Store how distance was calculated
+        // The full route stays in the RoutePoint collection; the trip keeps a simplified copy
+        routePoints,
+        routePointCount,
+        active: false
+    };
+    
+    // Save trip to Trip collection
+    const tripDoc = new Trip(completedTrip);
+    await tripDoc.save();
+    
+    // Update current odometer and remove active trip
+    if (vehicle) {
+        vehicle.currentOdometer = newEndOdometer;
+        await vehicle.save();
+    } else {
+        userData.currentOdometer = newEndOdometer;
+    }
+    userData.activeTrip = null;
+    await userData.save();
+    
+    // The new odometer reading may bring a service or renewal due
+    queueReminderCheck(userData.userId);
+    
+    return { completedTrip, roundedDistance, distanceSource };
+}
+
+// Automatic trip detection thresholds
+const TRIP_DETECT_DEPARTURE_METERS = parseFloat(process.env.TRIP_DETECT_DEPARTURE_METERS) || 200;
+const TRIP_DETECT_DEPARTURE_SPEED_KMH = parseFloat(process.env.TRIP_DETECT_DEPARTURE_SPEED_KMH) || 15;
+const TRIP_DETECT_DWELL_RADIUS_METERS = parseFloat(process.env.TRIP_DETECT_DWELL_RADIUS_METERS) || 100;
+const TRIP_DETECT_DWELL_MINUTES = parseFloat(process.env.TRIP_DETECT_DWELL_MINUTES) || 5;
+const TRIP_DETECT_MAX_GAP_MINUTES = parseFloat(process.env.TRIP_DETECT_MAX_GAP_MINUTES) || 30;
+const TRIP_DETECT_MIN_DISTANCE_KM = parseFloat(process.env.TRIP_DETECT_MIN_DISTANCE_KM) || 0.5;
+
+// Helper function to advance the trip detector by one location point
+// Returns the new detector state and, when a detected trip has just finished, its departure and arrival
+function advanceTripDetector(state, point) {
+    const fix = { latitude: point.latitude, longitude: point.longitude, accuracy: point.accuracy || 0, timestamp: new Date(point.timestamp).toISOString() };
+    const time = new Date(fix.timestamp);
+    
+    // A wandering low-accuracy fix would look like a departure
+    if (fix.accuracy > ROUTE_MAX_ACCURACY_METERS) {
+        return { state };
+    }
+    
+    if (!state || !state.lastPoint) {
+        return { state: { status: 'stationary', anchor: fix, lastPoint: fix } };
+    }
+    
+    // Late or duplicate fixes can't move the detector backwards
+    if (time <= new Date(state.lastPoint.timestamp)) {
+        return { state };
+    }
+    
+    const gapMinutes = (time - new Date(state.lastPoint.timestamp)) / 60000;
+    const metresFrom = (from) => haversineDistance(from.latitude, from.longitude, fix.latitude, fix.longitude) * 1000;
+    
+    if (state.status === 'moving') {
+        // A long silence (phone asleep or out of signal) ends the trip at the last fix we saw
+        if (gapMinutes >= TRIP_DETECT_MAX_GAP_MINUTES) {
+            return {
+                state: { status: 'stationary', anchor: fix, lastPoint: fix },
+                finished: { tripId: state.tripId, departure: state.departure, arrival: state.lastPoint }
+            };
+        }
+        
+        // Staying within the dwell radius long enough means the driver has arrived
+        if (metresFrom(state.dwell) <= TRIP_DETECT_DWELL_RADIUS_METERS) {
+            if ((time - new Date(state.dwell.timestamp)) / 60000 >= TRIP_DETECT_DWELL_MINUTES) {
+                return {
+                    state: { status: 'stationary', anchor: { ...state.dwell, timestamp: fix.timestamp }, lastPoint: fix },
+                    finished: { tripId: state.tripId, departure: state.departure, arrival: state.dwell }
+                };
+            }
+            return { state: { ...state, lastPoint: fix }, record: [fix] };
+        }
+        
+        return { state: { ...state, dwell: fix, lastPoint: fix }, record: [fix] };
+    }
+    
+    // Stationary: fixes near the anchor just keep the anchor fresh
+    if (metresFrom(state.anchor) <= TRIP_DETECT_DEPARTURE_METERS) {
+        return { state: { ...state, anchor: { ...state.anchor, timestamp: fix.timestamp }, lastPoint: fix } };
+    }
+    
+    // Leaving the anchor at driving speed is a departure; walking away or a stale fix just moves the anchor
+    const speedKmh = gapMinutes > 0 ? (metresFrom(state.lastPoint) / 1000) / (gapMinutes / 60) : 0;
+    if (gapMinutes < TRIP_DETECT_MAX_GAP_MINUTES && speedKmh >= TRIP_DETECT_DEPARTURE_SPEED_KMH) {
+        return {
+            state: { status: 'moving', tripId: time.getTime(), departure: state.anchor, dwell: fix, lastPoint: fix },
+            record: [state.anchor, fix]
+        };
+    }
+    
+    return { state: { status: 'stationary', anchor: fix, lastPoint: fix } };
+}
+
+// Helper function to turn a finished detection into a draft trip, or drop it if it was too short to be a drive
+async function createDraftTrip(userData, { tripId, departure, arrival }) {
+    const userId = userData.userId;
+    const arrivalTime = new Date(arrival.timestamp);
+    
+    // Fixes recorded while dwelling at the destination are not part of the trip
+    await RoutePoint.deleteMany({ userId, tripId, timestamp: { $gt: arrivalTime } });
+    const fullRoutePoints = await RoutePoint.find({ userId, tripId }).sort({ timestamp: 1 }).lean();
+    const { routeCleaning, routePoints, routePointCount } = buildRouteGeometry(fullRoutePoints);
+    
+    if (routeCleaning.cleanedDistance < TRIP_DETECT_MIN_DISTANCE_KM) {
+        await RoutePoint.deleteMany({ userId, tripId });
+        console.log('Trip Detector - Ignored short movement:', routeCleaning.cleanedDistance, 'km');
+        return null;
+    }
+    
+    const start = await resolveTripLocation(userId, departure.latitude, departure.longitude);
+    const end = await resolveTripLocation(userId, arrival.latitude, arrival.longitude);
+    const startTime = new Date(departure.timestamp);
+    const elapsedTime = Math.max(0, Math.round((arrivalTime - startTime) / 1000));
+    const totalDistance = roundDistance(routeCleaning.cleanedDistance);
+    const startDate = moment(startTime).format('YYYY-MM-DD');
+    
+    // Odometer readings are provisional until the draft is confirmed against a vehicle
+    const draftTrip = new Trip({
+        id: tripId,
+        userId,
+        purpose: (end.place && end.place.defaultPurpose) || (start.place && start.place.defaultPurpose) || 'Not specified',
+        startDate,
+        startOdometer: userData.currentOdometer,
+        startLatitude: departure.latitude,
+        startLongitude: departure.longitude,
+        startTime,
+        startArea: start.area,
+        startLocation: start.location,
+        startPlaceId: start.place ? start.place._id : null,
+        endDate: startDate,
+        endLatitude: arrival.latitude,
+        endLongitude: arrival.longitude,
+        endTime: arrivalTime,
+        endArea: end.area,
+        endLocation: end.location,
+        endPlaceId: end.place ? end.place._id : null,
+        elapsedTime,
+        pausedTime: 0,
+        movingTime: elapsedTime,
+        rawRouteDistance: routeCleaning.rawDistance,
+        cleanedRouteDistance: routeCleaning.cleanedDistance,
+        routeCleaning: routeCleaning.stats,
+        endOdometer: roundDistance(userData.currentOdometer + totalDistance),
+        totalDistance,
+        distanceSource: 'cleaned GPS route',
+        routePoints,
+        routePointCount,
+        active: false,
+        draft: true
+    });
+    await draftTrip.save();
+    
+    console.log('Trip Detector - Draft trip created:', tripId, start.area, '->', end.area, totalDistance, 'km');
+    return draftTrip;
+}
+
+// Helper function to abandon the detector's in-progress drive, e.g. when the user starts a trip by hand
+async function resetTripDetector(userData) {
+    const state = userData.tripDetector;
+    if (state && state.status === 'moving') {
+        await RoutePoint.deleteMany({ userId: userData.userId, tripId: state.tripId });
+    }
+    userData.tripDetector = null;
+    userData.markModified('tripDetector');
+}
+
+// Helper function to feed location points received outside a trip through the trip detector
+async function runTripDetector(userData, points) {
+    let state = userData.tripDetector;
+    const drafts = [];
+    let record = [];
+    
+    const flush = async (tripId) => {
+        if (record.length > 0) {
+            await appendRoutePoints(userData.userId, tripId, record);
+            record = [];
+        }
+    };
+    
+    const ordered = [...points].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    for (const point of ordered) {
+        const step = advanceTripDetector(state, point);
+        
+        if (step.finished) {
+            await flush(step.finished.tripId);
+            const draft = await createDraftTrip(userData, step.finished);
+            if (draft) {
+                drafts.push(draft);
+            }
+        }
+        if (step.record) {
+            record.push(...step.record);
+        }
+        state = step.state;
+    }
+    
+    if (state && state.status === 'moving') {
+        await flush(state.tripId);
+    }
+    
+    userData.tripDetector = state;
+    userData.markModified('tripDetector');
+    await userData.save();
+    
+    return { status: state ? state.status : 'stationary', drafts };
+}
+
+// Routes
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Health check endpoint for Docker
+app.get('/health', (req, res) => {
+    res.status(200).json({ status: 'OK', timestamp: new Date().toISOString() });
+});
+
+// Test endpoint for geocoding
+app.get('/test-geocoding/:lat/:lng', async (req, res) => {
+    try {
+        const { lat, lng } = req.params;
+        const location = await reverseGeocode(parseFloat(lat), parseFloat(lng));
+        res.json({ 
+            coordinates: { lat: parseFloat(lat), lng: parseFloat(lng) },
+            area: location.area,
+            location
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to update the user's trips with missing area names
+// Pass { "usePlaces": true } to also relabel trips that start or end inside a saved place
+// Label changes go through reviseTrip so each one leaves an alteration in the logbook
+app.post('/update-trip-areas', authenticateToken, async (req, res) => {
+    try {
+        const usePlaces = req.body && req.body.usePlaces === true;
+        console.log(`Starting to update trips with missing area names for ${req.userId}${usePlaces ? ' and saved places' : ''}...`);
+        
+        // Find trips that have coordinates but missing area names (or every trip when back-filling places)
+        const tripsToUpdate = await Trip.find(usePlaces ? { userId: req.userId } : {
+            userId: req.userId,
+            $or: [
+                { startArea: { $in: ['Unknown Area', null, undefined, ''] } },
+                { endArea: { $in: ['Unknown Area', null, undefined, ''] } }
+            ]
+        });
+
+        const userPlaces = usePlaces ? await Place.find({ userId: req.userId }).lean() : [];
+
+        console.log(`Found ${tripsToUpdate.length} trips that need area updates`);
         let updatedCount = 0;
+        const failed = [];
 
         for (let trip of tripsToUpdate) {
-            let needsUpdate = false;
+            const updates = {};
+            const placeLinks = {};
+            
+            // Saved places take precedence over geocoded names
+            if (userPlaces.length > 0) {
+                const startPlace = trip.startLatitude && trip.startLongitude
+                    ? await findMatchingPlace(trip.userId, trip.startLatitude, trip.startLongitude, userPlaces)
+                    : null;
+                const endPlace = trip.endLatitude && trip.endLongitude
+                    ? await findMatchingPlace(trip.userId, trip.endLatitude, trip.endLongitude, userPlaces)
+                    : null;
+                
+                if (startPlace) {
+                    updates.startArea = startPlace.name;
+                    placeLinks.startPlaceId = startPlace._id;
+                }
+                if (endPlace) {
+                    updates.endArea = endPlace.name;
+                    placeLinks.endPlaceId = endPlace._id;
+                }
+            }
             
             // Update start area if needed
-            if (trip.startLatitude && trip.startLongitude && 
+            if (!updates.startArea && trip.startLatitude && trip.startLongitude && 
                 (!trip.startArea || trip.startArea === 'Unknown Area' || trip.startArea === '')) {
                 console.log(`Updating start area for trip ${trip.id}`);
-                trip.startArea = await getAreaFromCoordinates(trip.startLatitude, trip.startLongitude);
-                needsUpdate = true;
+                updates.startArea = await getAreaFromCoordinates(trip.startLatitude, trip.startLongitude);
             }
             
             // Update end area if needed (only if trip is completed)
-            if (trip.endLatitude && trip.endLongitude && 
+            if (!updates.endArea && trip.endLatitude && trip.endLongitude && 
                 (!trip.endArea || trip.endArea === 'Unknown Area' || trip.endArea === '')) {
                 console.log(`Updating end area for trip ${trip.id}`);
-                trip.endArea = await getAreaFromCoordinates(trip.endLatitude, trip.endLongitude);
-                needsUpdate = true;
+                updates.endArea = await getAreaFromCoordinates(trip.endLatitude, trip.endLongitude);
+            }
+            
+            const result = await reviseTrip(trip, updates, {
+                editedBy: req.userId,
+                reason: usePlaces ? 'Area names updated from saved places' : 'Missing area names filled in'
+            });
+            if (result.error) {
+                failed.push({ tripId: trip.id, error: result.error });
+                continue;
             }
             
-            if (needsUpdate) {
+            // Place links aren't part of the log itself, so they're updated without a revision
+            const linksChanged = Object.entries(placeLinks).some(([field, value]) => String(trip[field]) !== String(value));
+            if (linksChanged) {
+                Object.assign(trip, placeLinks);
                 await trip.save();
+            }
+            
+            if (result.revision || linksChanged) {
                 updatedCount++;
                 console.log(`Updated trip ${trip.id} - Start: ${trip.startArea}, End: ${trip.endArea}`);
             }
@@ -286,7 +1506,8 @@ app.post('/update-trip-areas', async (req, res) => {
         res.json({ 
             message: `Successfully updated ${updatedCount} trips with area names`,
             totalChecked: tripsToUpdate.length,
-            updated: updatedCount
+            updated: updatedCount,
+            failed
         });
     } catch (error) {
         console.error('Error updating trip areas:', error);
@@ -300,8 +1521,209 @@ function isValidEmail(email) {
     return emailRegex.test(email);
 }
 
+// Helper function to check a new password, returning an error message or null
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < 6) {
+        return 'Password must be at least 6 characters long';
+    }
+    if (password.length > 50) {
+        return 'Password must be less than 50 characters';
+    }
+    return null;
+}
+
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const MAIL_FROM = process.env.MAIL_FROM || 'TripGo <noreply@tripgo.app>';
+
+// MAIL_TRANSPORT picks one of the mailTransports below; console is the default for development.
+// A production transport (SMTP relay, SES, ...) is added here with the same send(message) method
+const mailTransports = {
+    console: {
+        async send(message) {
+            console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        }
+    },
+    // Writes each message to MAIL_OUTBOX_DIR as an .eml file that mail clients can open
+    file: {
+        directory: path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'mail-outbox')),
+        async send(message) {
+            await fs.promises.mkdir(this.directory, { recursive: true });
+            const file = path.join(this.directory, `${moment(message.date).format('YYYYMMDD-HHmmss')}-${crypto.randomBytes(4).toString('hex')}.eml`);
+            const headers = [
+                `From: ${message.from}`,
+                `To: ${message.to}`,
+                `Subject: ${message.subject}`,
+                `Date: ${message.date.toUTCString()}`,
+                'Content-Type: text/plain; charset=utf-8'
+            ];
+            await fs.promises.writeFile(file, `${headers.join('\r\n')}\r\n\r\n${message.text.replace(/\r?\n/g, '\r\n')}\r\n`);
+            console.log(`Mail to ${message.to} written to ${file}`);
+        }
+    }
+};
+
+// Helper function to get the configured mail transport
+function getMailTransport() {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = mailTransports[name];
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    return transport;
+}
+
+// Helper function to send a plain-text email
+async function sendMail({ to, subject, text }) {
+    await getMailTransport().send({ from: MAIL_FROM, to, subject, text, date: new Date() });
+}
+
+const ACCOUNT_TOKEN_LIFETIMES = {
+    verify_email: '2d',
+    reset_password: '1h',
+    unlock_account: '1d'
+};
+
+// Account tokens are signed with their own key so they can never pass as access tokens
+function getAccountTokenSecret() {
+    return crypto.createHmac('sha256', JWT_SECRET).update('account-tokens').digest();
+}
+
+// Account tokens are stateless, so each one carries a stamp of the account state its action changes
+// (the password hash, the lockout, or the email and its verified flag). Once used the stamp no longer
+// matches, which makes the token single-use without storing it
+function accountTokenStamp(user, purpose) {
+    const states = {
+        reset_password: user.password,
+        unlock_account: `${user.lockedUntil ? user.lockedUntil.getTime() : ''}`,
+        verify_email: `${user.email}:${user.emailVerified}`
+    };
+    const state = states[purpose];
+    return crypto.createHash('sha256').update(`${purpose}:${state}`).digest('base64url').slice(0, 22);
+}
+
+// Helper function to sign a verify_email or reset_password token for a user
+function signAccountToken(user, purpose) {
+    return jwt.sign(
+        { sub: user.email, purpose, stamp: accountTokenStamp(user, purpose) },
+        getAccountTokenSecret(),
+        { expiresIn: ACCOUNT_TOKEN_LIFETIMES[purpose] }
+    );
+}
+
+// Helper function to check an account token, returning { user } or { error }
+async function verifyAccountToken(token, purpose) {
+    let decoded;
+    try {
+        decoded = jwt.verify(String(token || ''), getAccountTokenSecret());
+    } catch (error) {
+        return { error: 'This link is invalid or has expired' };
+    }
+    
+    if (decoded.purpose !== purpose) {
+        return { error: 'This link is invalid or has expired' };
+    }
+    
+    const user = await User.findOne({ email: decoded.sub });
+    if (!user || decoded.stamp !== accountTokenStamp(user, purpose)) {
+        return { error: 'This link has already been used or is no longer valid' };
+    }
+    
+    return { user };
+}
+
+// Helper function to email a user the link that verifies their address
+async function sendVerificationEmail(user) {
+    const link = `${APP_URL}/?verifyEmail=${encodeURIComponent(signAccountToken(user, 'verify_email'))}`;
+    await sendMail({
+        to: user.email,
+        subject: 'Confirm your TripGo email address',
+        text: `Hi ${user.fullName},\n\nPlease confirm your email address by opening this link:\n\n${link}\n\nThe link expires in 2 days.`
+    });
+}
+
+// Helper function to email a user a password reset link
+async function sendPasswordResetEmail(user) {
+    const link = `${APP_URL}/?resetPassword=${encodeURIComponent(signAccountToken(user, 'reset_password'))}`;
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your TripGo password',
+        text: `Hi ${user.fullName},\n\nSomeone asked to reset the password for your TripGo account. To choose a new password, open this link:\n\n${link}\n\nThe link expires in an hour and can only be used once. If you didn't ask for this you can ignore this email.`
+    });
+}
+
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOGIN_LOCKOUT_BASE_MINUTES = parseFloat(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 5;
+const LOGIN_LOCKOUT_MAX_HOURS = parseFloat(process.env.LOGIN_LOCKOUT_MAX_HOURS) || 24;
+
+// Helper function to record a failed sign-in, locking the account once the threshold is reached.
+// Each lockout doubles the last until a successful sign-in. Returns { retryAfter } when locked
+async function recordFailedLogin(user) {
+    const updated = await User.findOneAndUpdate({ _id: user._id }, { $inc: { failedLogins: 1 } }, { new: true });
+    if (updated.failedLogins < LOGIN_LOCKOUT_THRESHOLD) {
+        return null;
+    }
+    
+    const lockoutLevel = updated.lockoutLevel + 1;
+    const minutes = Math.min(LOGIN_LOCKOUT_BASE_MINUTES * 2 ** (lockoutLevel - 1), LOGIN_LOCKOUT_MAX_HOURS * 60);
+    updated.failedLogins = 0;
+    updated.lockoutLevel = lockoutLevel;
+    updated.lockedUntil = new Date(Date.now() + minutes * 60000);
+    await updated.save();
+    
+    console.warn(`Account ${updated.email} locked for ${minutes} minutes after repeated failed sign-ins`);
+    
+    // The owner can unlock straight away from the email, so a lockout can't be used to keep them out
+    try {
+        const link = `${APP_URL}/?unlockAccount=${encodeURIComponent(signAccountToken(updated, 'unlock_account'))}`;
+        await sendMail({
+            to: updated.email,
+            subject: 'Your TripGo account has been locked',
+            text: `Hi ${updated.fullName},\n\nThere were ${LOGIN_LOCKOUT_THRESHOLD} failed attempts to sign in to your TripGo account, so it has been locked until ${moment(updated.lockedUntil).format('D MMM YYYY h:mm A')}.\n\nIf that was you, you can unlock it now:\n\n${link}\n\nIf it wasn't you, unlock your account and then reset your password.`
+        });
+    } catch (error) {
+        console.error('Error sending unlock email:', error);
+    }
+    
+    return { retryAfter: minutes * 60 };
+}
+
+// Helper function to describe a lockout for the 429 response
+function describeLockout(retryAfter) {
+    return `Too many failed sign-in attempts. Please try again in ${moment.duration(retryAfter, 'seconds').humanize()}, or use the unlock link we emailed you.`;
+}
+
+// Helper function to remove everything stored for a user. Trips submitted to an organisation go too;
+// organisations the user owns alone are removed with them
+async function deleteUserAccount(userId) {
+    const trips = await Trip.find({ userId }, { expenses: 1 });
+    for (const trip of trips) {
+        await removeTripReceipts(trip);
+    }
+    
+    const ownedOrganisations = await OrganisationMember.find({ userId, role: 'owner' });
+    const organisationIds = ownedOrganisations.map(membership => membership.organisationId);
+    
+    await Trip.deleteMany({ userId });
+    await RoutePoint.deleteMany({ userId });
+    await TripRevision.deleteMany({ userId });
+    await UserData.deleteMany({ userId });
+    await Vehicle.deleteMany({ $or: [{ userId, organisationId: null }, { organisationId: { $in: organisationIds } }] });
+    await Place.deleteMany({ userId });
+    await ReimbursementRate.deleteMany({ userId });
+    await FuelEntry.deleteMany({ userId });
+    await Reminder.deleteMany({ userId });
+    await PushSubscription.deleteMany({ userId });
+    await OrganisationMember.deleteMany({ $or: [{ userId }, { organisationId: { $in: organisationIds } }] });
+    await Organisation.deleteMany({ _id: { $in: organisationIds } });
+    await AuthSession.deleteMany({ userId });
+    await removeDataExports({ userId });
+    await User.deleteOne({ email: userId });
+    
+    console.log(`Account ${userId} deleted with ${trips.length} trips`);
+}
+
 // Authentication routes
-app.post('/api/register', async (req, res) => {
+app.post('/api/register', rateLimit('auth'), async (req, res) => {
     try {
         const { email, password, fullName } = req.body;
         
@@ -322,12 +1744,9 @@ app.post('/api/register', async (req, res) => {
             return res.status(400).json({ error: 'Full name cannot be empty' });
         }
 
-        if (password.length < 6) {
-            return res.status(400).json({ error: 'Password must be at least 6 characters long' });
-        }
-
-        if (password.length > 50) {
-            return res.status(400).json({ error: 'Password must be less than 50 characters' });
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
         }
 
         const emailKey = email.toLowerCase().trim();
@@ -352,15 +1771,22 @@ app.post('/api/register', async (req, res) => {
         
         // Initialize user data
         await getUserData(emailKey);
+        
+        // Signing in doesn't wait on verification, so a mail failure shouldn't fail registration
+        try {
+            await sendVerificationEmail(user);
+        } catch (error) {
+            console.error('Error sending verification email:', error);
+        }
 
-        res.json({ success: true, message: 'Account created successfully! Please sign in.' });
+        res.json({ success: true, message: 'Account created successfully! Please sign in and check your email to verify your address.' });
     } catch (error) {
         console.error('Registration error:', error);
         res.status(500).json({ error: 'Registration failed. Please try again.' });
     }
 });
 
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', rateLimit('auth'), async (req, res) => {
     try {
         const { email, password } = req.body;
         
@@ -383,26 +1809,35 @@ app.post('/api/login', async (req, res) => {
             return res.status(401).json({ error: 'Invalid email or password. Please check your credentials.' });
         }
 
+        // A locked account is refused even with the right password
+        if (user.lockedUntil && user.lockedUntil > new Date()) {
+            const retryAfter = Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000);
+            return sendTooManyRequests(res, retryAfter, describeLockout(retryAfter));
+        }
+
         // Check password
         const isValidPassword = await bcrypt.compare(password, user.password);
         if (!isValidPassword) {
+            const lockout = await recordFailedLogin(user);
+            if (lockout) {
+                return sendTooManyRequests(res, lockout.retryAfter, describeLockout(lockout.retryAfter));
+            }
             return res.status(401).json({ error: 'Invalid email or password. Please check your credentials.' });
         }
 
-        // Generate JWT token that expires at 1 AM every night
-        const secondsUntil1AM = getSecondsUntilNext1AM();
-        const token = jwt.sign(
-            { userId: emailKey, username: user.fullName },
-            JWT_SECRET,
-            { expiresIn: secondsUntil1AM }
-        );
+        if (user.failedLogins > 0 || user.lockoutLevel > 0) {
+            await User.updateOne({ _id: user._id }, { failedLogins: 0, lockoutLevel: 0, lockedUntil: null });
+        }
 
-        req.session.token = token;
+        // Short-lived access token plus a refresh token for this device
+        const tokens = await createAuthSession(req, user);
+
+        req.session.token = tokens.token;
         req.session.userId = emailKey;
 
         res.json({ 
             success: true, 
-            token, 
+            ...tokens, 
             user: { 
                 email: emailKey, 
                 fullName: user.fullName
@@ -414,411 +1849,5357 @@ app.post('/api/login', async (req, res) => {
     }
 });
 
-app.post('/api/logout', (req, res) => {
-    req.session.destroy();
-    res.json({ success: true, message: 'Logged out successfully' });
-});
-
-// Get current user info
-app.get('/api/user', authenticateToken, async (req, res) => {
+// Swap a refresh token for a new access token and refresh token
+app.post('/api/token/refresh', rateLimit('refresh'), async (req, res) => {
     try {
-        const user = await User.findOne({ email: req.userId });
-        if (user) {
-            res.json({ 
-                email: req.userId, 
-                fullName: user.fullName
-            });
-        } else {
-            res.status(404).json({ error: 'User not found' });
+        const { session, refreshToken, error } = await rotateRefreshToken(req.body?.refreshToken);
+        if (error) {
+            return res.status(401).json({ error });
+        }
+        
+        const user = await User.findOne({ email: session.userId });
+        if (!user) {
+            await revokeAuthSessions({ _id: session._id }, 'revoked');
+            return res.status(401).json({ error: 'Your session has ended. Please sign in again.' });
         }
+        
+        const token = signAccessToken(user.email, user.fullName, session._id);
+        req.session.token = token;
+        
+        res.json({ success: true, token, refreshToken, expiresIn: Math.round(ACCESS_TOKEN_TTL_MINUTES * 60) });
     } catch (error) {
-        console.error('Error fetching user:', error);
-        res.status(500).json({ error: 'Failed to fetch user information' });
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Failed to refresh token' });
     }
 });
 
-// Get current odometer reading
-app.get('/api/odometer', authenticateToken, async (req, res) => {
+// Sign out this device, revoking its session so neither token works again
+app.post('/api/logout', async (req, res) => {
     try {
-        const userData = await getUserData(req.userId);
-        res.json({ currentOdometer: userData.currentOdometer });
+        let sessionId = null;
+        
+        if (req.body?.refreshToken) {
+            const session = await AuthSession.findOne({ tokenHash: hashRefreshToken(req.body.refreshToken) });
+            sessionId = session ? session._id : null;
+        } else {
+            const token = getRequestToken(req);
+            try {
+                // An expired access token still identifies the session to sign out
+                sessionId = token ? jwt.verify(token, JWT_SECRET, { ignoreExpiration: true }).sid : null;
+            } catch (error) {
+                sessionId = null;
+            }
+        }
+        
+        if (sessionId && mongoose.Types.ObjectId.isValid(sessionId)) {
+            await revokeAuthSessions({ _id: sessionId }, 'logout');
+        }
+        
+        req.session.destroy();
+        res.json({ success: true, message: 'Logged out successfully' });
     } catch (error) {
-        console.error('Error fetching odometer:', error);
-        res.status(500).json({ error: 'Failed to fetch odometer reading' });
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
     }
 });
 
-// Update odometer reading
-app.post('/api/odometer', authenticateToken, async (req, res) => {
+// List the devices signed in to this account
+app.get('/api/sessions', authenticateToken, async (req, res) => {
     try {
-        const { odometer } = req.body;
+        const sessions = await AuthSession.find({ userId: req.userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+            .sort({ lastUsedAt: -1 });
         
-        if (!odometer || isNaN(odometer) || parseFloat(odometer) < 0) {
-            return res.status(400).json({ error: 'Valid odometer reading is required' });
+        res.json({
+            sessions: sessions.map(session => ({
+                id: session._id,
+                userAgent: session.userAgent,
+                ipAddress: session.ipAddress,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt,
+                current: String(session._id) === req.sessionId
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+// Sign out every other device
+app.delete('/api/sessions', authenticateToken, async (req, res) => {
+    try {
+        const filter = { userId: req.userId };
+        if (req.sessionId) {
+            filter._id = { $ne: req.sessionId };
         }
         
-        const userData = await getUserData(req.userId);
-        userData.currentOdometer = parseFloat(odometer);
-        await userData.save();
-        
-        res.json({ success: true, currentOdometer: userData.currentOdometer });
+        const revoked = await revokeAuthSessions(filter, 'revoked');
+        res.json({ success: true, revoked });
     } catch (error) {
-        console.error('Error updating odometer:', error);
-        res.status(500).json({ error: 'Failed to update odometer reading' });
+        console.error('Error revoking sessions:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
     }
 });
 
-// Start a new trip
-app.post('/api/trip/start', authenticateToken, async (req, res) => {
+// Sign out a single device
+app.delete('/api/sessions/:sessionId', authenticateToken, async (req, res) => {
     try {
-        const { purpose, date, latitude, longitude } = req.body;
-        
-        // Validation
-        if (!purpose || !purpose.trim()) {
-            return res.status(400).json({ error: 'Purpose of trip is required' });
+        const { sessionId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+            return res.status(404).json({ error: 'Session not found' });
         }
         
-        if (!date) {
-            return res.status(400).json({ error: 'Trip date is required' });
+        const revoked = await revokeAuthSessions({ _id: sessionId, userId: req.userId }, 'revoked');
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
         }
         
-        if (!latitude || !longitude) {
-            return res.status(400).json({ error: 'Location coordinates are required' });
+        res.json({ success: true, message: 'Session revoked successfully' });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+// Get current user info
+app.get('/api/user', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.userId });
+        if (user) {
+            res.json({ 
+                email: req.userId, 
+                fullName: user.fullName,
+                emailVerified: user.emailVerified
+            });
+        } else {
+            res.status(404).json({ error: 'User not found' });
         }
-        
-        const userData = await getUserData(req.userId);
-        
-        // Check if there's already an active trip
-        if (userData.activeTrip) {
-            return res.status(400).json({ error: 'Please end current trip before starting a new one' });
+    } catch (error) {
+        console.error('Error fetching user:', error);
+        res.status(500).json({ error: 'Failed to fetch user information' });
+    }
+});
+
+// Update the current user's name
+app.put('/api/user', authenticateToken, async (req, res) => {
+    try {
+        const { fullName } = req.body;
+        if (typeof fullName !== 'string' || !fullName.trim()) {
+            return res.status(400).json({ error: 'Full name cannot be empty' });
         }
         
-        // Get start area from coordinates
-        const startArea = await getAreaFromCoordinates(latitude, longitude);
-        console.log('Trip Start - Start Area resolved:', startArea);
-        
-        const newTrip = {
-            id: Date.now(),
-            purpose: purpose.trim(),
-            startDate: date,
-            startOdometer: userData.currentOdometer,
-            startLatitude: latitude,
-            startLongitude: longitude,
-            startArea: startArea,
-            startTime: new Date().toISOString(),
-            active: true,
-            userId: req.userId
-        };
-        
-        console.log('Trip Start - New trip object:', JSON.stringify(newTrip, null, 2));
-        
-        userData.activeTrip = newTrip;
-        await userData.save();
+        const user = await User.findOneAndUpdate({ email: req.userId }, { fullName: fullName.trim() }, { new: true });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
         
-        res.json({ success: true, trip: newTrip });
+        res.json({ success: true, user: { email: user.email, fullName: user.fullName, emailVerified: user.emailVerified } });
     } catch (error) {
-        console.error('Error starting trip:', error);
-        res.status(500).json({ error: 'Failed to start trip' });
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: 'Failed to update user information' });
     }
 });
 
-// End current trip
-app.post('/api/trip/end', authenticateToken, async (req, res) => {
+// Send a fresh verification link to the current user
+app.post('/api/account/verify-email/send', authenticateToken, rateLimit('auth'), async (req, res) => {
     try {
-        const { latitude, longitude, gpsDistance, actualTravelledDistance, userProvidedEndOdometer } = req.body;
-        
-        if (!latitude || !longitude) {
-            return res.status(400).json({ error: 'Location coordinates are required' });
+        const user = await User.findOne({ email: req.userId });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
         }
         
-        const userData = await getUserData(req.userId);
-        
-        if (!userData.activeTrip) {
-            return res.status(400).json({ error: 'No active trip found' });
+        if (user.emailVerified) {
+            return res.status(400).json({ error: 'Your email address is already verified' });
         }
         
-        const trip = userData.activeTrip;
-        
-        // Calculate straight-line distance as fallback
-        const straightLineDistance = calculateDistance(
-            trip.startLatitude,
-            trip.startLongitude,
-            latitude,
-            longitude
-        );
-        
-        // Determine the distance to use based on user input
-        let finalDistance;
-        let distanceSource;
-        
-        if (userProvidedEndOdometer !== null && userProvidedEndOdometer !== undefined) {
-            // User provided end odometer reading - calculate distance from odometer difference
-            finalDistance = actualTravelledDistance;
-            distanceSource = 'odometer reading';
-            console.log('Using user-provided odometer reading. Distance:', finalDistance, 'km');
-        } else if (gpsDistance && gpsDistance > 0.01) {
-            // Use GPS distance if available and reasonable
-            finalDistance = gpsDistance;
-            distanceSource = 'GPS tracking';
-            console.log('Using GPS route distance:', finalDistance, 'km');
-        } else {
-            // Fall back to straight-line distance
-            finalDistance = straightLineDistance;
-            distanceSource = 'straight-line calculation';
-            console.log('GPS tracking failed, using straight-line distance:', finalDistance, 'km');
+        await sendVerificationEmail(user);
+        res.json({ success: true, message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Error sending verification email:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+// Confirm an email address from the emailed link
+app.post('/api/account/verify-email', rateLimit('auth'), async (req, res) => {
+    try {
+        const { user, error } = await verifyAccountToken(req.body?.token, 'verify_email');
+        if (error) {
+            return res.status(400).json({ error });
         }
         
-        // Apply custom rounding logic to the final distance
-        const roundedDistance = roundDistance(finalDistance);
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
         
-        console.log('Trip End - GPS Distance:', gpsDistance, 'km, Straight-line Distance:', straightLineDistance, 'km, Using:', finalDistance, 'km (', distanceSource, '), Rounded:', roundedDistance, 'km');
-        console.log('Trip coordinates - Start:', trip.startLatitude, trip.startLongitude, 'End:', latitude, longitude);
+        res.json({ success: true, message: 'Email address verified' });
+    } catch (error) {
+        console.error('Error verifying email:', error);
+        res.status(500).json({ error: 'Failed to verify email address' });
+    }
+});
+
+// Change the password, signing out every other device
+app.post('/api/account/password', authenticateToken, rateLimit('auth'), async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
         
         const user = await User.findOne({ email: req.userId });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
         
-        // Get both start and end area from coordinates to ensure they're included
-        const startArea = trip.startArea || await getAreaFromCoordinates(trip.startLatitude, trip.startLongitude);
-        const endArea = await getAreaFromCoordinates(latitude, longitude);
-        
-        // Calculate end odometer based on user input or GPS distance
-        let newEndOdometer;
-        if (userProvidedEndOdometer !== null && userProvidedEndOdometer !== undefined) {
-            // User provided end odometer reading - use that as the new odometer value
-            newEndOdometer = roundDistance(userProvidedEndOdometer);
-            console.log('Using user-provided end odometer:', newEndOdometer, 'km');
-        } else {
-            // Use current odometer + calculated distance
-            newEndOdometer = roundDistance(userData.currentOdometer + roundedDistance);
-            console.log('Calculated end odometer from distance:', newEndOdometer, 'km');
+        if (!currentPassword || !await bcrypt.compare(currentPassword, user.password)) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
         }
         
-        const completedTrip = {
-            ...trip,
-            endDate: trip.startDate, 
-            endLatitude: latitude,
-            endLongitude: longitude,
-            startArea: startArea,
-            endArea: endArea,
-            endTime: new Date().toISOString(),
-            gpsDistance: gpsDistance || 0, // Store original GPS distance for reference
-            endOdometer: newEndOdometer,
-            totalDistance: roundedDistance,
-            distanceSource: distanceSource, // Store how distance was calculated
-            routePoints: trip.routePoints || [],
-            active: false
-        };
+        const passwordError = validatePassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
         
-        // Save trip to Trip collection
-        const tripDoc = new Trip(completedTrip);
-        await tripDoc.save();
+        user.password = await bcrypt.hash(newPassword, 10);
+        user.passwordChangedAt = new Date();
+        await user.save();
         
-        // Update current odometer and remove active trip
-        userData.currentOdometer = newEndOdometer;
-        userData.activeTrip = null;
-        await userData.save();
+        const filter = { userId: req.userId };
+        if (req.sessionId) {
+            filter._id = { $ne: req.sessionId };
+        }
+        await revokeAuthSessions(filter, 'revoked');
         
-        // Note: Individual trip CSV writing removed - use export function instead
-        console.log('Trip completed and saved to database');
+        try {
+            await sendMail({
+                to: user.email,
+                subject: 'Your TripGo password was changed',
+                text: `Hi ${user.fullName},\n\nThe password for your TripGo account was just changed and your other devices were signed out. If this wasn't you, reset your password straight away.`
+            });
+        } catch (error) {
+            console.error('Error sending password change notice:', error);
+        }
         
-        res.json({ 
-            success: true, 
-            trip: completedTrip,
-            message: `Trip ended successfully! Distance: ${roundedDistance}km (${distanceSource}). Current odometer: ${Math.round(completedTrip.endOdometer)}km`
-        });
+        res.json({ success: true, message: 'Password changed successfully' });
     } catch (error) {
-        console.error('Error ending trip:', error);
-        res.status(500).json({ error: 'Failed to end trip' });
+        console.error('Error changing password:', error);
+        res.status(500).json({ error: 'Failed to change password' });
     }
 });
 
-// Update trip route (add GPS points during trip)
-app.post('/api/trip/route', authenticateToken, async (req, res) => {
+// Email a password reset link. The response is the same whether or not the account exists
+app.post('/api/account/password/forgot', rateLimit('auth'), async (req, res) => {
     try {
-        const { latitude, longitude, accuracy } = req.body;
+        const email = typeof req.body?.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+        if (!isValidEmail(email)) {
+            return res.status(400).json({ error: 'Please enter a valid email address' });
+        }
         
-        if (!latitude || !longitude) {
-            return res.status(400).json({ error: 'Location coordinates are required' });
+        const user = await User.findOne({ email });
+        if (user) {
+            await sendPasswordResetEmail(user);
         }
         
-        const userData = await getUserData(req.userId);
+        res.json({ success: true, message: 'If that email has an account, a reset link is on its way' });
+    } catch (error) {
+        console.error('Error sending password reset:', error);
+        res.status(500).json({ error: 'Failed to send password reset email' });
+    }
+});
+
+// Set a new password from a reset link, signing out every device
+app.post('/api/account/password/reset', rateLimit('auth'), async (req, res) => {
+    try {
+        const { token, newPassword } = req.body || {};
         
-        if (!userData.activeTrip) {
-            return res.status(400).json({ error: 'No active trip found' });
+        const passwordError = validatePassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
         }
         
-        // Add route point to active trip
-        if (!userData.activeTrip.routePoints) {
-            userData.activeTrip.routePoints = [];
+        const { user, error } = await verifyAccountToken(token, 'reset_password');
+        if (error) {
+            return res.status(400).json({ error });
         }
         
-        userData.activeTrip.routePoints.push({
-            latitude,
-            longitude,
-            accuracy: accuracy || 0,
-            timestamp: new Date()
-        });
-        
-        // Limit route points to prevent excessive storage (keep last 1000 points)
-        if (userData.activeTrip.routePoints.length > 1000) {
-            userData.activeTrip.routePoints = userData.activeTrip.routePoints.slice(-1000);
+        user.password = await bcrypt.hash(newPassword, 10);
+        user.passwordChangedAt = new Date();
+        user.failedLogins = 0;
+        user.lockedUntil = null;
+        // The link arrived by email, so following it proves the address too
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
         }
+        await user.save();
         
-        await userData.save();
+        await revokeAuthSessions({ userId: user.email }, 'revoked');
         
-        res.json({ success: true });
-    } catch (error) {
-        console.error('Error updating trip route:', error);
-        res.status(500).json({ error: 'Failed to update trip route' });
-    }
-});
-
-// Get active trip
-app.get('/api/trip/active', authenticateToken, async (req, res) => {
-    try {
-        const userData = await getUserData(req.userId);
-        res.json({ activeTrip: userData.activeTrip || null });
+        res.json({ success: true, message: 'Password reset successfully. Please sign in.' });
     } catch (error) {
-        console.error('Error fetching active trip:', error);
-        res.status(500).json({ error: 'Failed to fetch active trip' });
+        console.error('Error resetting password:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
     }
 });
 
-// Get trip history
-app.get('/api/trips', authenticateToken, async (req, res) => {
+// Unlock an account from the emailed link after repeated failed sign-ins
+app.post('/api/account/unlock', rateLimit('auth'), async (req, res) => {
     try {
-        const trips = await Trip.find({ userId: req.userId }).sort({ startTime: -1 });
-        res.json({ trips });
+        const { user, error } = await verifyAccountToken(req.body?.token, 'unlock_account');
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        user.failedLogins = 0;
+        user.lockoutLevel = 0;
+        user.lockedUntil = null;
+        await user.save();
+        
+        res.json({ success: true, message: 'Your account is unlocked. Please sign in.' });
     } catch (error) {
-        console.error('Error fetching trips:', error);
-        res.status(500).json({ error: 'Failed to fetch trips' });
+        console.error('Error unlocking account:', error);
+        res.status(500).json({ error: 'Failed to unlock account' });
     }
 });
 
-// Delete a trip
-app.delete('/api/trip/:tripId', authenticateToken, async (req, res) => {
+// Permanently delete the account and everything stored for it
+app.delete('/api/account', authenticateToken, rateLimit('auth'), async (req, res) => {
     try {
-        const { tripId } = req.params;
+        const user = await User.findOne({ email: req.userId });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
         
-        if (!tripId) {
-            return res.status(400).json({ error: 'Trip ID is required' });
+        if (!req.body?.password || !await bcrypt.compare(req.body.password, user.password)) {
+            return res.status(401).json({ error: 'Password is incorrect' });
         }
         
-        const trip = await Trip.findOneAndDelete({ 
-            id: parseInt(tripId), 
-            userId: req.userId 
-        });
+        // Organisations with other members would be left without an owner
+        const ownedOrganisationIds = (await OrganisationMember.find({ userId: req.userId, role: 'owner' }))
+            .map(membership => membership.organisationId);
+        if (await OrganisationMember.exists({ organisationId: { $in: ownedOrganisationIds }, userId: { $ne: req.userId } })) {
+            return res.status(400).json({ error: 'Remove the other members from the organisations you own before deleting your account' });
+        }
         
-        if (!trip) {
-            return res.status(404).json({ error: 'Trip not found' });
+        const userData = await UserData.findOne({ userId: req.userId });
+        if (userData && userData.activeTrip) {
+            return res.status(400).json({ error: 'Please end your active trip before deleting your account' });
         }
         
-        res.json({ success: true, message: 'Trip deleted successfully' });
+        await deleteUserAccount(req.userId);
+        req.session.destroy();
+        
+        res.json({ success: true, message: 'Account deleted' });
     } catch (error) {
-        console.error('Error deleting trip:', error);
-        res.status(500).json({ error: 'Failed to delete trip' });
+        console.error('Error deleting account:', error);
+        res.status(500).json({ error: 'Failed to delete account' });
     }
 });
 
-// Export trips to CSV for date range
-app.post('/api/trips/export', authenticateToken, async (req, res) => {
-    try {
-        const { startDate, endDate } = req.body;
-        
-        // Validation
-        if (!startDate || !endDate) {
-            return res.status(400).json({ error: 'Start date and end date are required' });
-        }
+const DATA_EXPORT_DIR = path.resolve(process.env.DATA_EXPORT_DIR || path.join(__dirname, 'uploads', 'exports'));
+const DATA_EXPORT_TTL_HOURS = parseFloat(process.env.DATA_EXPORT_TTL_HOURS) || 48;
+// A running export that hasn't reported progress for this long is taken to have lost its worker
+const DATA_EXPORT_STALE_MINUTES = parseFloat(process.env.DATA_EXPORT_STALE_MINUTES) || 15;
 
-        const start = new Date(startDate);
-        const end = new Date(endDate);
-        
-        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
-            return res.status(400).json({ error: 'Invalid date format' });
-        }
+// Archives are built one at a time so a large history can't starve trip tracking of CPU
+const dataExportQueue = [];
+let dataExportRunning = false;
 
-        if (start > end) {
-            return res.status(400).json({ error: 'Start date must be before or equal to end date' });
-        }
+// Helper function to queue a data export for the background worker
+function queueDataExport(exportId) {
+    dataExportQueue.push(String(exportId));
+    if (!dataExportRunning) {
+        runDataExportQueue().catch(error => console.error('Data export worker stopped:', error));
+    }
+}
 
-        const user = await User.findOne({ email: req.userId });
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
+// Helper function to work through queued data exports
+async function runDataExportQueue() {
+    dataExportRunning = true;
+    try {
+        while (dataExportQueue.length > 0) {
+            const exportId = dataExportQueue.shift();
+            try {
+                await buildDataExport(exportId);
+            } catch (error) {
+                console.error('Data export failed:', exportId, error);
+                await DataExport.updateOne({ _id: exportId }, { status: 'failed', error: error.message, completedAt: new Date() });
+            }
         }
+    } finally {
+        dataExportRunning = false;
+    }
+}
 
-        // Filter trips by date range and user
-        const filteredTrips = await Trip.find({
-            userId: req.userId,
-            startDate: { 
-                $gte: startDate, 
-                $lte: endDate 
+// Helper function to pick up exports interrupted by a restart. Other instances may be building
+// running exports right now, so only those that have stopped reporting progress are started again
+async function resumeDataExports() {
+    const staleBefore = new Date(Date.now() - DATA_EXPORT_STALE_MINUTES * 60000);
+    const pending = await DataExport.find({
+        $or: [
+            { status: 'queued' },
+            { status: 'running', heartbeatAt: { $lt: staleBefore } },
+            { status: 'running', heartbeatAt: null, startedAt: { $lt: staleBefore } }
+        ]
+    }).sort({ createdAt: 1 });
+    
+    for (const dataExport of pending) {
+        if (dataExport.status === 'running') {
+            const requeued = await DataExport.updateOne(
+                { _id: dataExport._id, status: 'running', heartbeatAt: dataExport.heartbeatAt },
+                { status: 'queued', tripsDone: 0 }
+            );
+            if (requeued.modifiedCount === 0) {
+                continue;
             }
-        }).sort({ startTime: 1 });
+        }
+        queueDataExport(dataExport._id);
+    }
+}
 
-        if (filteredTrips.length === 0) {
-            return res.status(404).json({ error: 'No trips found in the specified date range' });
+// Helper function to delete archive files and their jobs
+async function removeDataExports(filter) {
+    const dataExports = await DataExport.find(filter);
+    for (const dataExport of dataExports) {
+        if (dataExport.fileKey) {
+            await fs.promises.rm(path.join(DATA_EXPORT_DIR, dataExport.fileKey), { force: true });
         }
+    }
+    await DataExport.deleteMany({ _id: { $in: dataExports.map(dataExport => dataExport._id) } });
+}
 
-        // Create CSV header
-        const csvHeader = [
-            'Date Trip Began',
-            'Date Trip Ended', 
-            'Purpose of Trip',
-            'Area From',
-            'Area To',
-            'Odometer Reading Start',
-            'Odometer Reading Finish',
-            'Kilometres Travelled',
-            'Signature of person making Entry',
-            'Date of Entry'
-        ];
+// Helper function to turn a document into plain JSON for the archive
+function toExportJson(doc) {
+    return doc.toObject({ versionKey: false });
+}
 
-        // Prepare CSV rows
-        const csvRows = filteredTrips.map(trip => [
-            trip.startDate || '',
-            trip.endDate || trip.startDate || '',
-            trip.purpose || '',
-            trip.startArea || 'Unknown Area',
-            trip.endArea || 'Unknown Area',
-            trip.startOdometer || '0',
-            trip.endOdometer || '0',
-            trip.totalDistance || '0',
-            '', // Empty signature as requested
-            new Date(trip.startTime).toISOString().split('T')[0]
-        ]);
+// Helper function to add an entry to the archive, resolving once it has been written.
+// Waiting on each entry keeps only one trip's route in memory at a time. `failed` rejects when the
+// archive or its output file errors, so a full disk fails the entry instead of leaving it waiting
+function appendArchiveEntry(archive, source, name, failed) {
+    let onEntry;
+    const appended = new Promise(resolve => {
+        onEntry = resolve;
+        archive.once('entry', onEntry);
+        archive.append(source, { name });
+    });
+    return Promise.race([appended, failed]).finally(() => archive.removeListener('entry', onEntry));
+}
 
-        // Create CSV content
-        const csvContent = [csvHeader, ...csvRows]
-            .map(row => row.map(field => {
-                // Escape quotes and wrap fields with commas or quotes in quotes
-                const stringField = String(field);
-                if (stringField.includes(',') || stringField.includes('"') || stringField.includes('\n')) {
-                    return `"${stringField.replace(/"/g, '""')}"`;
-                }
-                return stringField;
-            }).join(','))
-            .join('\n');
+const DATA_EXPORT_README = `TripGo data export
 
-        // Set headers for CSV download
-        const filename = `Motor_Vehicle_Log_${startDate.replace(/-/g, '')}_to_${endDate.replace(/-/g, '')}.csv`;
-        
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.setHeader('Content-Length', Buffer.byteLength(csvContent));
-        
-        // Send CSV content
-        res.send(csvContent);
+profile.json              Your account details (your password is stored hashed and isn't included)
+user-data.json            Current odometer, active trip and trip detection state
+logbook.csv               Your Motor Vehicle Log in the same format as the CSV export
+trips/<id>.json           Every trip, including drafts, with its full-resolution routePoints,
+                          the simplified route shown in the app, expenses, approval history and alterations
+receipts/                 Receipt images and PDFs uploaded against trip expenses
+vehicles.json             Vehicles you added
+places.json               Saved places
+reimbursement-rates.json  Reimbursement rates
+fuel-log.json             Fuel log entries
+reminders.json            Service and renewal reminders
+organisations.json        Organisations you belong to and your role in each
+devices.json              Signed-in devices and push notification subscriptions
+`;
 
-    } catch (error) {
-        console.error('Export error:', error);
-        res.status(500).json({ 
-            error: 'Failed to export trips', 
-            details: error.message,
-            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-        });
+// Helper function to build the ZIP archive for a queued export
+async function buildDataExport(exportId) {
+    // Claim the job so no other instance builds the same archive
+    const startedAt = new Date();
+    const dataExport = await DataExport.findOneAndUpdate(
+        { _id: exportId, status: 'queued' },
+        { $set: { status: 'running', startedAt, heartbeatAt: startedAt, tripsDone: 0 } },
+        { new: true }
+    );
+    if (!dataExport) {
+        return;
     }
-});
+    
+    await removeDataExports({ expiresAt: { $lte: new Date() } });
+    
+    const { userId } = dataExport;
+    const user = await User.findOne({ email: userId });
+    if (!user) {
+        throw new Error('User not found');
+    }
+    
+    const tripIds = await Trip.find({ userId }, { _id: 1 }).sort({ startTime: 1 });
+    dataExport.tripsTotal = tripIds.length;
+    await dataExport.save();
+    
+    await fs.promises.mkdir(DATA_EXPORT_DIR, { recursive: true });
+    const fileKey = `${dataExport._id}.zip`;
+    const file = path.join(DATA_EXPORT_DIR, fileKey);
+    
+    const output = fs.createWriteStream(file);
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const written = new Promise(resolve => output.on('close', resolve));
+    const failed = new Promise((resolve, reject) => {
+        output.on('error', reject);
+        archive.on('error', reject);
+    });
+    // Awaited through appendArchiveEntry and finalize below; this stops an error between awaits
+    // from becoming an unhandled rejection that takes the server down
+    failed.catch(() => {});
+    archive.pipe(output);
+    
+    const addEntry = (source, name) => appendArchiveEntry(archive, source, name, failed);
+    const addJson = (name, data) => addEntry(JSON.stringify(data, null, 2), name);
+    
+    try {
+        await addEntry(DATA_EXPORT_README, 'README.txt');
+        
+        const { password, ...profile } = toExportJson(user);
+        await addJson('profile.json', profile);
+        
+        const userData = await UserData.findOne({ userId });
+        await addJson('user-data.json', userData ? toExportJson(userData) : null);
+        
+        // Trips are loaded one at a time; revisions are grouped per trip up front
+        const revisions = await TripRevision.find({ userId }).sort({ editedAt: 1 });
+        const logbookEntries = [];
+        
+        for (const { _id } of tripIds) {
+            const trip = await Trip.findById(_id);
+            if (!trip) {
+                continue;
+            }
+            
+            const tripRevisions = revisions.filter(revision => revision.tripId === trip.id);
+            const routePoints = await RoutePoint.find({ userId, tripId: trip.id }, { _id: 0, userId: 0, tripId: 0, __v: 0 })
+                .sort({ timestamp: 1 })
+                .lean();
+            const { routePoints: simplifiedRoutePoints, ...tripJson } = toExportJson(trip);
+            
+            await addJson(`trips/${trip.id}.json`, {
+                ...tripJson,
+                // Older trips kept their only copy of the route on the trip itself
+                routePoints: routePoints.length > 0 ? routePoints : simplifiedRoutePoints,
+                simplifiedRoutePoints,
+                revisions: tripRevisions.map(toExportJson)
+            });
+            
+            for (const expense of trip.expenses || []) {
+                if (!expense.receipt || !expense.receipt.key) {
+                    continue;
+                }
+                try {
+                    const receipt = await getReceiptStore().read(expense.receipt.key);
+                    await addEntry(receipt, `receipts/${trip.id}-${expense._id}-${path.basename(expense.receipt.filename || 'receipt')}`);
+                } catch (error) {
+                    console.error('Error adding receipt to data export:', expense.receipt.key, error.message);
+                }
+            }
+            
+            if (!trip.draft && !trip.active) {
+                logbookEntries.push(buildLogbookEntry(trip, tripRevisions));
+            }
+            
+            dataExport.tripsDone += 1;
+            if (dataExport.tripsDone % 25 === 0) {
+                await DataExport.updateOne({ _id: dataExport._id }, { tripsDone: dataExport.tripsDone, heartbeatAt: new Date() });
+            }
+        }
+        
+        await addEntry(buildLogbookCsv(logbookEntries), 'logbook.csv');
+        
+        await addJson('vehicles.json', (await Vehicle.find({ userId }).sort({ createdAt: 1 })).map(toExportJson));
+        await addJson('places.json', (await Place.find({ userId }).sort({ name: 1 })).map(toExportJson));
+        await addJson('reimbursement-rates.json', (await ReimbursementRate.find({ userId }).sort({ name: 1 })).map(toExportJson));
+        await addJson('fuel-log.json', (await FuelEntry.find({ userId }).sort({ filledAt: 1 })).map(toExportJson));
+        await addJson('reminders.json', (await Reminder.find({ userId }).sort({ createdAt: 1 })).map(toExportJson));
+        
+        const memberships = await OrganisationMember.find({ userId });
+        const organisations = await Organisation.find({ _id: { $in: memberships.map(membership => membership.organisationId) } });
+        await addJson('organisations.json', memberships.map(membership => ({
+            organisationId: membership.organisationId,
+            name: organisations.find(organisation => organisation._id.equals(membership.organisationId))?.name || null,
+            role: membership.role,
+            joinedAt: membership.joinedAt
+        })));
+        
+        const sessions = await AuthSession.find({ userId }, { tokenHash: 0, previousTokenHash: 0, __v: 0 }).sort({ createdAt: 1 }).lean();
+        const pushSubscriptions = await PushSubscription.find({ userId }, { keys: 0, __v: 0 }).sort({ createdAt: 1 }).lean();
+        await addJson('devices.json', { sessions, pushSubscriptions });
+        
+        await Promise.race([Promise.all([archive.finalize(), written]), failed]);
+    } catch (error) {
+        // The queue worker marks the export failed once the partial file is gone
+        archive.abort();
+        output.destroy();
+        await fs.promises.rm(file, { force: true });
+        throw error;
+    }
+    
+    const { size } = await fs.promises.stat(file);
+    const completedAt = new Date();
+    await DataExport.updateOne({ _id: dataExport._id }, {
+        status: 'completed',
+        tripsDone: dataExport.tripsDone,
+        fileKey,
+        fileSize: size,
+        completedAt,
+        expiresAt: new Date(completedAt.getTime() + DATA_EXPORT_TTL_HOURS * 3600000)
+    });
+    
+    console.log(`Data export ${dataExport._id} for ${userId} completed: ${dataExport.tripsDone} trips, ${size} bytes`);
+    
+    try {
+        await sendMail({
+            to: user.email,
+            subject: 'Your TripGo data export is ready',
+            text: `Hi ${user.fullName},\n\nThe archive of your TripGo data is ready to download from the app. It will be available for ${DATA_EXPORT_TTL_HOURS} hours.`
+        });
+    } catch (error) {
+        console.error('Error sending data export notice:', error);
+    }
+}
+
+// Helper function to describe an export job for the API
+function formatDataExport(dataExport) {
+    return {
+        id: dataExport._id,
+        status: dataExport.status,
+        tripsTotal: dataExport.tripsTotal,
+        tripsDone: dataExport.tripsDone,
+        progress: dataExport.tripsTotal > 0 ? Math.round(dataExport.tripsDone / dataExport.tripsTotal * 100) : (dataExport.status === 'completed' ? 100 : 0),
+        fileSize: dataExport.fileSize,
+        error: dataExport.error,
+        createdAt: dataExport.createdAt,
+        completedAt: dataExport.completedAt,
+        expiresAt: dataExport.expiresAt,
+        downloadUrl: dataExport.status === 'completed' ? `/api/account/export/${dataExport._id}/download` : null
+    };
+}
+
+// Start building an archive of everything held about the user. Poll the status endpoint until it completes
+app.post('/api/account/export', authenticateToken, rateLimit('export'), async (req, res) => {
+    try {
+        const inProgress = await DataExport.findOne({ userId: req.userId, status: { $in: ['queued', 'running'] } });
+        if (inProgress) {
+            return res.status(202).json({ success: true, export: formatDataExport(inProgress) });
+        }
+        
+        const dataExport = new DataExport({ userId: req.userId });
+        await dataExport.save();
+        queueDataExport(dataExport._id);
+        
+        res.status(202).json({ success: true, export: formatDataExport(dataExport) });
+    } catch (error) {
+        console.error('Error starting data export:', error);
+        res.status(500).json({ error: 'Failed to start data export' });
+    }
+});
+
+// Helper function to find one of the user's export jobs
+async function getUserDataExport(userId, exportId) {
+    if (!mongoose.Types.ObjectId.isValid(exportId)) {
+        return null;
+    }
+    return DataExport.findOne({ _id: exportId, userId });
+}
+
+app.get('/api/account/export/:exportId', authenticateToken, async (req, res) => {
+    try {
+        const dataExport = await getUserDataExport(req.userId, req.params.exportId);
+        if (!dataExport) {
+            return res.status(404).json({ error: 'Export not found' });
+        }
+        
+        res.json({ export: formatDataExport(dataExport) });
+    } catch (error) {
+        console.error('Error fetching data export:', error);
+        res.status(500).json({ error: 'Failed to fetch data export' });
+    }
+});
+
+app.get('/api/account/export/:exportId/download', authenticateToken, async (req, res) => {
+    try {
+        const dataExport = await getUserDataExport(req.userId, req.params.exportId);
+        if (!dataExport || (dataExport.expiresAt && dataExport.expiresAt <= new Date())) {
+            return res.status(404).json({ error: 'Export not found' });
+        }
+        
+        if (dataExport.status !== 'completed') {
+            return res.status(409).json({ error: 'The export is not ready yet', export: formatDataExport(dataExport) });
+        }
+        
+        const filename = `TripGo_Data_Export_${moment(dataExport.completedAt).format('YYYYMMDD')}.zip`;
+        res.download(path.join(DATA_EXPORT_DIR, dataExport.fileKey), filename, error => {
+            if (error && !res.headersSent) {
+                console.error('Error sending data export:', error);
+                res.status(404).json({ error: 'Export file not found' });
+            }
+        });
+    } catch (error) {
+        console.error('Error downloading data export:', error);
+        res.status(500).json({ error: 'Failed to download data export' });
+    }
+});
+
+// Get current odometer reading (optionally for a specific vehicle)
+app.get('/api/odometer', authenticateToken, async (req, res) => {
+    try {
+        const { vehicleId } = req.query;
+        
+        if (vehicleId) {
+            const vehicle = await getUserVehicle(req.userId, vehicleId);
+            if (!vehicle) {
+                return res.status(404).json({ error: 'Vehicle not found' });
+            }
+            return res.json({ currentOdometer: vehicle.currentOdometer, vehicleId: vehicle._id });
+        }
+        
+        const userData = await getUserData(req.userId);
+        res.json({ currentOdometer: userData.currentOdometer });
+    } catch (error) {
+        console.error('Error fetching odometer:', error);
+        res.status(500).json({ error: 'Failed to fetch odometer reading' });
+    }
+});
+
+// Update odometer reading
+app.post('/api/odometer', authenticateToken, async (req, res) => {
+    try {
+        const { odometer, vehicleId } = req.body;
+        
+        if (!odometer || isNaN(odometer) || parseFloat(odometer) < 0) {
+            return res.status(400).json({ error: 'Valid odometer reading is required' });
+        }
+        
+        if (vehicleId) {
+            const vehicle = await getUserVehicle(req.userId, vehicleId);
+            if (!vehicle) {
+                return res.status(404).json({ error: 'Vehicle not found' });
+            }
+            vehicle.currentOdometer = parseFloat(odometer);
+            await vehicle.save();
+            return res.json({ success: true, currentOdometer: vehicle.currentOdometer, vehicleId: vehicle._id });
+        }
+        
+        const userData = await getUserData(req.userId);
+        userData.currentOdometer = parseFloat(odometer);
+        await userData.save();
+        
+        res.json({ success: true, currentOdometer: userData.currentOdometer });
+    } catch (error) {
+        console.error('Error updating odometer:', error);
+        res.status(500).json({ error: 'Failed to update odometer reading' });
+    }
+});
+
+// Helper function to validate vehicle fields from a request body
+function validateVehicleInput(body, isUpdate) {
+    const { registration, make, model, fuelType, currentOdometer } = body;
+    
+    if (!isUpdate || registration !== undefined) {
+        if (!registration || !String(registration).trim()) {
+            return 'Vehicle registration is required';
+        }
+        if (String(registration).trim().length > 15) {
+            return 'Vehicle registration must be 15 characters or less';
+        }
+    }
+    
+    if (fuelType !== undefined && !Vehicle.schema.path('fuelType').enumValues.includes(fuelType)) {
+        return `Fuel type must be one of: ${Vehicle.schema.path('fuelType').enumValues.join(', ')}`;
+    }
+    
+    if (currentOdometer !== undefined && (currentOdometer === null || isNaN(currentOdometer) || parseFloat(currentOdometer) < 0)) {
+        return 'Valid odometer reading is required';
+    }
+    
+    if ((make !== undefined && typeof make !== 'string') || (model !== undefined && typeof model !== 'string')) {
+        return 'Make and model must be text';
+    }
+    
+    return null;
+}
+
+// Vehicle routes
+app.get('/api/vehicles', authenticateToken, async (req, res) => {
+    try {
+        const vehicles = await Vehicle.find(await accessibleVehicleQuery(req.userId)).sort({ registration: 1 });
+        res.json({ vehicles });
+    } catch (error) {
+        console.error('Error fetching vehicles:', error);
+        res.status(500).json({ error: 'Failed to fetch vehicles' });
+    }
+});
+
+app.get('/api/vehicles/:vehicleId', authenticateToken, async (req, res) => {
+    try {
+        const vehicle = await getUserVehicle(req.userId, req.params.vehicleId);
+        if (!vehicle) {
+            return res.status(404).json({ error: 'Vehicle not found' });
+        }
+        res.json({ vehicle });
+    } catch (error) {
+        console.error('Error fetching vehicle:', error);
+        res.status(500).json({ error: 'Failed to fetch vehicle' });
+    }
+});
+
+app.post('/api/vehicles', authenticateToken, async (req, res) => {
+    try {
+        const validationError = validateVehicleInput(req.body, false);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { registration, make, model, fuelType, currentOdometer, organisationId } = req.body;
+        const registrationKey = String(registration).toUpperCase().trim();
+        
+        const existingVehicle = await Vehicle.findOne({ userId: req.userId, registration: registrationKey });
+        if (existingVehicle) {
+            return res.status(400).json({ error: 'A vehicle with this registration already exists' });
+        }
+        
+        // Only owners and managers can add vehicles to the fleet
+        if (organisationId) {
+            const membership = await getOrganisationMembership(req.userId, organisationId);
+            if (!membership || !ORGANISATION_MANAGER_ROLES.includes(membership.role)) {
+                return res.status(403).json({ error: 'Only organisation owners and managers can add fleet vehicles' });
+            }
+        }
+        
+        const vehicle = new Vehicle({
+            userId: req.userId,
+            registration: registrationKey,
+            make: make || '',
+            model: model || '',
+            fuelType: fuelType || 'petrol',
+            currentOdometer: currentOdometer !== undefined ? parseFloat(currentOdometer) : 0,
+            organisationId: organisationId || null
+        });
+        await vehicle.save();
+        
+        res.json({ success: true, vehicle });
+    } catch (error) {
+        console.error('Error creating vehicle:', error);
+        res.status(500).json({ error: 'Failed to create vehicle' });
+    }
+});
+
+app.put('/api/vehicles/:vehicleId', authenticateToken, async (req, res) => {
+    try {
+        const vehicle = await getUserVehicle(req.userId, req.params.vehicleId);
+        if (!vehicle) {
+            return res.status(404).json({ error: 'Vehicle not found' });
+        }
+        
+        if (!await canManageVehicle(req.userId, vehicle)) {
+            return res.status(403).json({ error: 'Only organisation owners and managers can change fleet vehicles' });
+        }
+        
+        const validationError = validateVehicleInput(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { registration, make, model, fuelType, currentOdometer, organisationId } = req.body;
+        
+        // Moving a vehicle into a fleet needs manager rights there too
+        if (organisationId) {
+            const membership = await getOrganisationMembership(req.userId, organisationId);
+            if (!membership || !ORGANISATION_MANAGER_ROLES.includes(membership.role)) {
+                return res.status(403).json({ error: 'Only organisation owners and managers can add fleet vehicles' });
+            }
+        }
+        
+        if (registration !== undefined) {
+            const registrationKey = String(registration).toUpperCase().trim();
+            const existingVehicle = await Vehicle.findOne({
+                userId: req.userId,
+                registration: registrationKey,
+                _id: { $ne: vehicle._id }
+            });
+            if (existingVehicle) {
+                return res.status(400).json({ error: 'A vehicle with this registration already exists' });
+            }
+            vehicle.registration = registrationKey;
+        }
+        if (make !== undefined) vehicle.make = make;
+        if (model !== undefined) vehicle.model = model;
+        if (fuelType !== undefined) vehicle.fuelType = fuelType;
+        if (currentOdometer !== undefined) vehicle.currentOdometer = parseFloat(currentOdometer);
+        if (organisationId !== undefined) vehicle.organisationId = organisationId || null;
+        
+        await vehicle.save();
+        res.json({ success: true, vehicle });
+    } catch (error) {
+        console.error('Error updating vehicle:', error);
+        res.status(500).json({ error: 'Failed to update vehicle' });
+    }
+});
+
+app.delete('/api/vehicles/:vehicleId', authenticateToken, async (req, res) => {
+    try {
+        const vehicle = await getUserVehicle(req.userId, req.params.vehicleId);
+        if (!vehicle) {
+            return res.status(404).json({ error: 'Vehicle not found' });
+        }
+        
+        if (!await canManageVehicle(req.userId, vehicle)) {
+            return res.status(403).json({ error: 'Only organisation owners and managers can delete fleet vehicles' });
+        }
+        
+        const userData = await getUserData(req.userId);
+        if (userData.activeTrip && String(userData.activeTrip.vehicleId) === String(vehicle._id)) {
+            return res.status(400).json({ error: 'Please end the active trip for this vehicle before deleting it' });
+        }
+        
+        // Existing trips keep their vehicleId so historical logbooks stay intact
+        await vehicle.deleteOne();
+        res.json({ success: true, message: 'Vehicle deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting vehicle:', error);
+        res.status(500).json({ error: 'Failed to delete vehicle' });
+    }
+});
+
+// Fuel economy outside this range (L/100km) is almost certainly a missed fill or a typo
+const FUEL_ECONOMY_MIN = parseFloat(process.env.FUEL_ECONOMY_MIN) || 2;
+const FUEL_ECONOMY_MAX = parseFloat(process.env.FUEL_ECONOMY_MAX) || 30;
+
+// Helper function to validate fuel log fields from a request body
+function validateFuelEntryInput(body, isUpdate) {
+    const { filledAt, odometer, litres, pricePerLitre, totalCost, fullTank } = body;
+    
+    if (filledAt !== undefined && isNaN(new Date(filledAt).getTime())) {
+        return 'Fill date must be a valid date';
+    }
+    
+    if (odometer !== undefined && (typeof odometer !== 'number' || odometer < 0)) {
+        return 'Odometer reading must be a positive number';
+    }
+    
+    if (!isUpdate || litres !== undefined) {
+        if (typeof litres !== 'number' || !(litres > 0)) {
+            return 'Litres must be greater than zero';
+        }
+    }
+    
+    if (pricePerLitre !== undefined && (typeof pricePerLitre !== 'number' || pricePerLitre < 0)) {
+        return 'Price per litre must be a positive number';
+    }
+    
+    if (totalCost !== undefined && (typeof totalCost !== 'number' || totalCost < 0)) {
+        return 'Total cost must be a positive number';
+    }
+    
+    if (!isUpdate && pricePerLitre === undefined && totalCost === undefined) {
+        return 'Price per litre or total cost is required';
+    }
+    
+    if (fullTank !== undefined && typeof fullTank !== 'boolean') {
+        return 'Full tank must be true or false';
+    }
+    
+    return null;
+}
+
+// Helper function to work out fuel economy and flag suspicious fill-ups for one vehicle's fuel log
+// trips are the vehicle's completed trips in time order; currentOdometer is the latest known reading
+function buildFuelLog(entries, trips, currentOdometer) {
+    const ordered = [...entries].sort((a, b) => new Date(a.filledAt) - new Date(b.filledAt));
+    const log = [];
+    let lastFullFill = null;
+    let litresSinceFull = 0;
+    let costSinceFull = 0;
+    let measuredDistance = 0;
+    let measuredLitres = 0;
+    let measuredCost = 0;
+    
+    ordered.forEach((entry, index) => {
+        const flags = [];
+        const filledAt = new Date(entry.filledAt);
+        const previous = ordered[index - 1];
+        
+        if (previous && entry.odometer < previous.odometer) {
+            flags.push(`Odometer is lower than the previous fill-up (${previous.odometer} km)`);
+        }
+        
+        // The fill odometer has to sit between the trips either side of it
+        const tripBefore = trips.filter(trip => trip.endTime && new Date(trip.endTime) <= filledAt).pop();
+        const tripAfter = trips.find(trip => new Date(trip.startTime) >= filledAt);
+        if (tripBefore && typeof tripBefore.endOdometer === 'number' && entry.odometer < tripBefore.endOdometer) {
+            flags.push(`Odometer is lower than the finishing odometer of the trip before it (${tripBefore.endOdometer} km on ${tripBefore.startDate})`);
+        }
+        if (tripAfter && entry.odometer > tripAfter.startOdometer) {
+            flags.push(`Odometer is higher than the starting odometer of the trip after it (${tripAfter.startOdometer} km on ${tripAfter.startDate})`);
+        }
+        if (!tripAfter && entry.odometer > currentOdometer) {
+            flags.push(`Odometer is ahead of the current odometer (${currentOdometer} km) - some trips may not have been logged`);
+        }
+        
+        litresSinceFull += entry.litres;
+        costSinceFull += entry.totalCost;
+        
+        // Partial fills are carried into the next full-to-full span
+        let economy = null;
+        let costPerKm = null;
+        let distance = null;
+        if (entry.fullTank) {
+            if (lastFullFill) {
+                distance = entry.odometer - lastFullFill.odometer;
+                if (distance > 0) {
+                    economy = Math.round((litresSinceFull / distance) * 10000) / 100;
+                    costPerKm = Math.round((costSinceFull / distance) * 1000) / 1000;
+                    if (economy < FUEL_ECONOMY_MIN || economy > FUEL_ECONOMY_MAX) {
+                        flags.push(`Fuel economy of ${economy} L/100km is implausible - check for a missed or mistyped fill-up`);
+                    } else {
+                        measuredDistance += distance;
+                        measuredLitres += litresSinceFull;
+                        measuredCost += costSinceFull;
+                    }
+                }
+            }
+            lastFullFill = entry;
+            litresSinceFull = 0;
+            costSinceFull = 0;
+        }
+        
+        log.push({
+            ...(entry.toObject ? entry.toObject() : entry),
+            distanceSinceLastFull: distance,
+            litresPer100Km: economy,
+            costPerKm,
+            suspicious: flags.length > 0,
+            flags
+        });
+    });
+    
+    return {
+        entries: log,
+        summary: {
+            fillCount: ordered.length,
+            totalLitres: Math.round(ordered.reduce((sum, entry) => sum + entry.litres, 0) * 100) / 100,
+            totalCost: Math.round(ordered.reduce((sum, entry) => sum + entry.totalCost, 0) * 100) / 100,
+            measuredDistance: Math.round(measuredDistance * 100) / 100,
+            averageLitresPer100Km: measuredDistance > 0 ? Math.round((measuredLitres / measuredDistance) * 10000) / 100 : null,
+            averageCostPerKm: measuredDistance > 0 ? Math.round((measuredCost / measuredDistance) * 1000) / 1000 : null,
+            suspiciousCount: log.filter(entry => entry.suspicious).length
+        }
+    };
+}
+
+// Helper function to resolve the vehicle a fuel log request is for (null for the user's default odometer)
+async function getFuelLogVehicle(userId, vehicleId) {
+    if (!vehicleId) {
+        return { vehicle: null };
+    }
+    const vehicle = await getUserVehicle(userId, vehicleId);
+    return vehicle ? { vehicle } : { error: 'Vehicle not found' };
+}
+
+// Fuel log routes
+app.get('/api/fuel', authenticateToken, async (req, res) => {
+    try {
+        const { vehicle, error } = await getFuelLogVehicle(req.userId, req.query.vehicleId);
+        if (error) {
+            return res.status(404).json({ error });
+        }
+        
+        const vehicleId = vehicle ? vehicle._id : null;
+        const [entries, trips, userData] = await Promise.all([
+            FuelEntry.find({ userId: req.userId, vehicleId }),
+            Trip.find({ userId: req.userId, vehicleId, active: false, draft: { $ne: true } }, { id: 1, startDate: 1, startTime: 1, endTime: 1, startOdometer: 1, endOdometer: 1 }).sort({ startTime: 1 }),
+            getUserData(req.userId)
+        ]);
+        const currentOdometer = vehicle ? vehicle.currentOdometer : userData.currentOdometer;
+        
+        res.json({
+            vehicle: vehicle ? { id: vehicle._id, registration: vehicle.registration } : null,
+            ...buildFuelLog(entries, trips, currentOdometer)
+        });
+    } catch (error) {
+        console.error('Error fetching fuel log:', error);
+        res.status(500).json({ error: 'Failed to fetch fuel log' });
+    }
+});
+
+app.post('/api/fuel', authenticateToken, async (req, res) => {
+    try {
+        const validationError = validateFuelEntryInput(req.body, false);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { vehicle, error } = await getFuelLogVehicle(req.userId, req.body.vehicleId);
+        if (error) {
+            return res.status(404).json({ error });
+        }
+        
+        const { filledAt, odometer, litres, pricePerLitre, totalCost, fullTank, station, note } = req.body;
+        
+        // Without a reading the fill-up is taken to be at the current odometer
+        let fillOdometer = odometer;
+        if (fillOdometer === undefined) {
+            fillOdometer = vehicle ? vehicle.currentOdometer : (await getUserData(req.userId)).currentOdometer;
+        }
+        
+        const entry = new FuelEntry({
+            userId: req.userId,
+            vehicleId: vehicle ? vehicle._id : null,
+            filledAt: filledAt ? new Date(filledAt) : new Date(),
+            odometer: fillOdometer,
+            litres,
+            pricePerLitre: pricePerLitre !== undefined ? pricePerLitre : Math.round((totalCost / litres) * 1000) / 1000,
+            totalCost: totalCost !== undefined ? totalCost : Math.round(pricePerLitre * litres * 100) / 100,
+            fullTank: fullTank !== false,
+            station: station || '',
+            note: note || ''
+        });
+        await entry.save();
+        
+        res.json({ success: true, entry });
+    } catch (error) {
+        console.error('Error adding fuel entry:', error);
+        res.status(500).json({ error: 'Failed to add fuel entry' });
+    }
+});
+
+app.put('/api/fuel/:entryId', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) {
+            return res.status(404).json({ error: 'Fuel entry not found' });
+        }
+        
+        const entry = await FuelEntry.findOne({ _id: req.params.entryId, userId: req.userId });
+        if (!entry) {
+            return res.status(404).json({ error: 'Fuel entry not found' });
+        }
+        
+        const validationError = validateFuelEntryInput(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { filledAt, odometer, litres, pricePerLitre, totalCost, fullTank, station, note } = req.body;
+        if (filledAt !== undefined) entry.filledAt = new Date(filledAt);
+        if (odometer !== undefined) entry.odometer = odometer;
+        if (litres !== undefined) entry.litres = litres;
+        if (fullTank !== undefined) entry.fullTank = fullTank;
+        if (station !== undefined) entry.station = station;
+        if (note !== undefined) entry.note = note;
+        
+        // Keep price and total consistent with whichever one was changed
+        if (totalCost !== undefined) {
+            entry.totalCost = totalCost;
+            entry.pricePerLitre = pricePerLitre !== undefined ? pricePerLitre : Math.round((totalCost / entry.litres) * 1000) / 1000;
+        } else if (pricePerLitre !== undefined || litres !== undefined) {
+            if (pricePerLitre !== undefined) entry.pricePerLitre = pricePerLitre;
+            entry.totalCost = Math.round(entry.pricePerLitre * entry.litres * 100) / 100;
+        }
+        
+        await entry.save();
+        res.json({ success: true, entry });
+    } catch (error) {
+        console.error('Error updating fuel entry:', error);
+        res.status(500).json({ error: 'Failed to update fuel entry' });
+    }
+});
+
+app.delete('/api/fuel/:entryId', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) {
+            return res.status(404).json({ error: 'Fuel entry not found' });
+        }
+        
+        const entry = await FuelEntry.findOneAndDelete({ _id: req.params.entryId, userId: req.userId });
+        if (!entry) {
+            return res.status(404).json({ error: 'Fuel entry not found' });
+        }
+        
+        res.json({ success: true, message: 'Fuel entry deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting fuel entry:', error);
+        res.status(500).json({ error: 'Failed to delete fuel entry' });
+    }
+});
+
+// Web Push configuration for reminders - without VAPID keys reminders are still tracked but not pushed
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || null;
+const pushEnabled = Boolean(VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+if (pushEnabled) {
+    webpush.setVapidDetails(process.env.VAPID_SUBJECT || 'mailto:noreply@tripgo.app', VAPID_PUBLIC_KEY, process.env.VAPID_PRIVATE_KEY);
+}
+
+// How often the reminder engine runs for every user, and how often an overdue reminder repeats
+const REMINDER_CHECK_INTERVAL_HOURS = parseFloat(process.env.REMINDER_CHECK_INTERVAL_HOURS) || 24;
+const REMINDER_REPEAT_DAYS = parseFloat(process.env.REMINDER_REPEAT_DAYS) || 7;
+const REMINDER_TYPES = Reminder.schema.path('type').enumValues;
+
+// Helper function to send a push notification to every browser the user has subscribed
+async function sendPushNotification(userId, payload) {
+    if (!pushEnabled) {
+        console.log('Push not configured, skipping notification for', userId, '-', payload.body);
+        return 0;
+    }
+    
+    const subscriptions = await PushSubscription.find({ userId });
+    let delivered = 0;
+    for (const subscription of subscriptions) {
+        try {
+            await webpush.sendNotification({ endpoint: subscription.endpoint, keys: subscription.keys }, JSON.stringify(payload));
+            delivered++;
+        } catch (error) {
+            // The browser has dropped the subscription
+            if (error.statusCode === 404 || error.statusCode === 410) {
+                await subscription.deleteOne();
+            } else {
+                console.error('Error sending push notification:', error.message);
+            }
+        }
+    }
+    return delivered;
+}
+
+// Helper function to work out when a reminder falls due and whether it is upcoming or overdue
+function evaluateReminder(reminder, currentOdometer, now = new Date()) {
+    let dueOdometer = null;
+    let dueDate = reminder.dueDate ? new Date(reminder.dueDate) : null;
+    
+    if (reminder.intervalKm && typeof reminder.lastServiceOdometer === 'number') {
+        dueOdometer = reminder.lastServiceOdometer + reminder.intervalKm;
+    }
+    if (reminder.intervalMonths && reminder.lastServiceDate) {
+        dueDate = moment(reminder.lastServiceDate).add(reminder.intervalMonths, 'months').toDate();
+    }
+    
+    const kmRemaining = dueOdometer !== null ? Math.round((dueOdometer - currentOdometer) * 100) / 100 : null;
+    const daysRemaining = dueDate ? Math.ceil((dueDate - now) / 86400000) : null;
+    
+    // Whichever of distance or time comes first decides the stage
+    let stage = null;
+    if ((kmRemaining !== null && kmRemaining <= 0) || (daysRemaining !== null && daysRemaining <= 0)) {
+        stage = 'overdue';
+    } else if ((kmRemaining !== null && kmRemaining <= reminder.leadKm) || (daysRemaining !== null && daysRemaining <= reminder.leadDays)) {
+        stage = 'upcoming';
+    }
+    
+    return { stage, dueOdometer, dueDate, kmRemaining, daysRemaining };
+}
+
+// Helper function to describe a reminder's state for a notification
+function describeReminder(reminder, vehicle, status) {
+    const vehicleLabel = vehicle ? `${vehicle.registration}: ` : '';
+    const parts = [];
+    if (status.kmRemaining !== null) {
+        parts.push(status.kmRemaining > 0 ? `due in ${status.kmRemaining} km` : `overdue by ${-status.kmRemaining} km`);
+    }
+    if (status.daysRemaining !== null) {
+        parts.push(status.daysRemaining > 0
+            ? `due ${moment(status.dueDate).format('D MMM YYYY')}`
+            : `was due ${moment(status.dueDate).format('D MMM YYYY')}`);
+    }
+    return `${vehicleLabel}${reminder.title} ${parts.join(', ')}`;
+}
+
+// Helper function to evaluate a user's reminders and push any that have reached a new stage
+async function runReminderEngine(userId) {
+    const reminders = await Reminder.find({ userId, active: true });
+    if (reminders.length === 0) {
+        return [];
+    }
+    
+    const userData = await getUserData(userId);
+    const vehicles = await Vehicle.find(await accessibleVehicleQuery(userId));
+    const vehiclesById = new Map(vehicles.map(vehicle => [String(vehicle._id), vehicle]));
+    const now = new Date();
+    const sent = [];
+    
+    for (const reminder of reminders) {
+        const vehicle = reminder.vehicleId ? vehiclesById.get(String(reminder.vehicleId)) : null;
+        if (reminder.vehicleId && !vehicle) {
+            continue;
+        }
+        
+        const status = evaluateReminder(reminder, vehicle ? vehicle.currentOdometer : userData.currentOdometer, now);
+        const repeatDue = reminder.lastNotifiedAt && (now - reminder.lastNotifiedAt) / 86400000 >= REMINDER_REPEAT_DAYS;
+        
+        if (!status.stage) {
+            if (reminder.lastNotifiedStage) {
+                reminder.lastNotifiedStage = null;
+                await reminder.save();
+            }
+            continue;
+        }
+        
+        if (status.stage === reminder.lastNotifiedStage && !(status.stage === 'overdue' && repeatDue)) {
+            continue;
+        }
+        
+        const body = describeReminder(reminder, vehicle, status);
+        await sendPushNotification(userId, {
+            title: status.stage === 'overdue' ? 'TripGo - overdue' : 'TripGo - reminder',
+            body,
+            tag: `reminder-${reminder._id}`,
+            data: { type: 'reminder', reminderId: String(reminder._id), url: '/?reminders=1' }
+        });
+        
+        reminder.lastNotifiedStage = status.stage;
+        reminder.lastNotifiedAt = now;
+        await reminder.save();
+        sent.push({ reminderId: reminder._id, stage: status.stage, body });
+    }
+    
+    return sent;
+}
+
+// Helper function to run the reminder engine in the background without failing the caller
+function queueReminderCheck(userId) {
+    runReminderEngine(userId).catch(error => console.error('Error running reminders for', userId, error));
+}
+
+// Helper function to run the reminder engine for every user with active reminders
+async function runAllReminders() {
+    const userIds = await Reminder.distinct('userId', { active: true });
+    for (const userId of userIds) {
+        try {
+            await runReminderEngine(userId);
+        } catch (error) {
+            console.error('Error running reminders for', userId, error);
+        }
+    }
+    console.log(`Reminder check complete for ${userIds.length} users`);
+}
+
+// Helper function to validate reminder fields from a request body
+function validateReminderInput(body, existing) {
+    const merged = { ...(existing ? existing.toObject() : {}), ...body };
+    const { type, title, intervalKm, intervalMonths, dueDate, leadKm, leadDays, lastServiceOdometer, lastServiceDate } = merged;
+    
+    if (!REMINDER_TYPES.includes(type)) {
+        return `Reminder type must be one of: ${REMINDER_TYPES.join(', ')}`;
+    }
+    
+    if (typeof title !== 'string' || !title.trim()) {
+        return 'Reminder title is required';
+    }
+    
+    const isUnsetOrAtLeast = (value, minimum) => value === undefined || value === null || (typeof value === 'number' && value >= minimum);
+    if (!isUnsetOrAtLeast(intervalKm, 1) || !isUnsetOrAtLeast(intervalMonths, 1)) {
+        return 'Intervals must be positive numbers';
+    }
+    
+    if (!isUnsetOrAtLeast(leadKm, 0) || !isUnsetOrAtLeast(leadDays, 0)) {
+        return 'Reminder lead distance and days cannot be negative';
+    }
+    
+    if (lastServiceOdometer !== undefined && lastServiceOdometer !== null && (typeof lastServiceOdometer !== 'number' || lastServiceOdometer < 0)) {
+        return 'Last service odometer must be a positive number';
+    }
+    
+    for (const date of [dueDate, lastServiceDate]) {
+        if (date !== undefined && date !== null && isNaN(new Date(date).getTime())) {
+            return 'Dates must be valid';
+        }
+    }
+    
+    if (!intervalKm && !intervalMonths && !dueDate) {
+        return 'A reminder needs an interval (km or months) or a due date';
+    }
+    
+    if (body.active !== undefined && typeof body.active !== 'boolean') {
+        return 'Active must be true or false';
+    }
+    
+    return null;
+}
+
+// Push subscription routes
+app.get('/api/push/public-key', (req, res) => {
+    res.json({ publicKey: pushEnabled ? VAPID_PUBLIC_KEY : null });
+});
+
+app.post('/api/push/subscribe', authenticateToken, async (req, res) => {
+    try {
+        const { endpoint, keys } = req.body || {};
+        if (typeof endpoint !== 'string' || !endpoint.startsWith('https://') || !keys || !keys.p256dh || !keys.auth) {
+            return res.status(400).json({ error: 'A valid push subscription is required' });
+        }
+        
+        // A browser's endpoint moves to whichever user signed in on it last
+        await PushSubscription.findOneAndUpdate(
+            { endpoint },
+            { userId: req.userId, endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } },
+            { upsert: true, new: true }
+        );
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error saving push subscription:', error);
+        res.status(500).json({ error: 'Failed to save push subscription' });
+    }
+});
+
+app.post('/api/push/unsubscribe', authenticateToken, async (req, res) => {
+    try {
+        const { endpoint } = req.body || {};
+        await PushSubscription.deleteOne({ endpoint, userId: req.userId });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing push subscription:', error);
+        res.status(500).json({ error: 'Failed to remove push subscription' });
+    }
+});
+
+// Reminder routes
+app.get('/api/reminders', authenticateToken, async (req, res) => {
+    try {
+        const [reminders, userData, vehicles] = await Promise.all([
+            Reminder.find({ userId: req.userId }).sort({ createdAt: 1 }),
+            getUserData(req.userId),
+            Vehicle.find(await accessibleVehicleQuery(req.userId))
+        ]);
+        const vehiclesById = new Map(vehicles.map(vehicle => [String(vehicle._id), vehicle]));
+        
+        res.json({
+            reminders: reminders.map(reminder => {
+                const vehicle = reminder.vehicleId ? vehiclesById.get(String(reminder.vehicleId)) : null;
+                return {
+                    ...reminder.toObject(),
+                    status: evaluateReminder(reminder, vehicle ? vehicle.currentOdometer : userData.currentOdometer)
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Error fetching reminders:', error);
+        res.status(500).json({ error: 'Failed to fetch reminders' });
+    }
+});
+
+app.post('/api/reminders', authenticateToken, async (req, res) => {
+    try {
+        const validationError = validateReminderInput(req.body, null);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { vehicleId, type, title, intervalKm, intervalMonths, lastServiceOdometer, lastServiceDate, dueDate, leadKm, leadDays } = req.body;
+        
+        let vehicle = null;
+        if (vehicleId) {
+            vehicle = await getUserVehicle(req.userId, vehicleId);
+            if (!vehicle) {
+                return res.status(404).json({ error: 'Vehicle not found' });
+            }
+        }
+        
+        // Schedules without a last service start counting from today's odometer
+        const currentOdometer = vehicle ? vehicle.currentOdometer : (await getUserData(req.userId)).currentOdometer;
+        const reminder = new Reminder({
+            userId: req.userId,
+            vehicleId: vehicle ? vehicle._id : null,
+            type,
+            title: title.trim(),
+            intervalKm: intervalKm || null,
+            intervalMonths: intervalMonths || null,
+            lastServiceOdometer: intervalKm ? (typeof lastServiceOdometer === 'number' ? lastServiceOdometer : currentOdometer) : null,
+            lastServiceDate: intervalMonths ? (lastServiceDate ? new Date(lastServiceDate) : new Date()) : null,
+            dueDate: dueDate ? new Date(dueDate) : null,
+            leadKm: leadKm !== undefined ? leadKm : undefined,
+            leadDays: leadDays !== undefined ? leadDays : undefined
+        });
+        await reminder.save();
+        
+        queueReminderCheck(req.userId);
+        res.json({ success: true, reminder });
+    } catch (error) {
+        console.error('Error creating reminder:', error);
+        res.status(500).json({ error: 'Failed to create reminder' });
+    }
+});
+
+app.put('/api/reminders/:reminderId', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.reminderId)) {
+            return res.status(404).json({ error: 'Reminder not found' });
+        }
+        
+        const reminder = await Reminder.findOne({ _id: req.params.reminderId, userId: req.userId });
+        if (!reminder) {
+            return res.status(404).json({ error: 'Reminder not found' });
+        }
+        
+        const validationError = validateReminderInput(req.body, reminder);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        ['type', 'title', 'intervalKm', 'intervalMonths', 'lastServiceOdometer', 'leadKm', 'leadDays', 'active'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                reminder[field] = req.body[field];
+            }
+        });
+        ['lastServiceDate', 'dueDate'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                reminder[field] = req.body[field] ? new Date(req.body[field]) : null;
+            }
+        });
+        
+        // A newly added interval starts counting from today's odometer, as it does for new reminders
+        if (reminder.intervalKm && typeof reminder.lastServiceOdometer !== 'number') {
+            const vehicle = reminder.vehicleId ? await getUserVehicle(req.userId, reminder.vehicleId) : null;
+            reminder.lastServiceOdometer = vehicle ? vehicle.currentOdometer : (await getUserData(req.userId)).currentOdometer;
+        }
+        if (reminder.intervalMonths && !reminder.lastServiceDate) {
+            reminder.lastServiceDate = new Date();
+        }
+        
+        // A changed schedule is evaluated afresh
+        reminder.lastNotifiedStage = null;
+        await reminder.save();
+        
+        queueReminderCheck(req.userId);
+        res.json({ success: true, reminder });
+    } catch (error) {
+        console.error('Error updating reminder:', error);
+        res.status(500).json({ error: 'Failed to update reminder' });
+    }
+});
+
+// Mark a reminder as done: a service resets its schedule, an expiry moves to the next due date
+app.post('/api/reminders/:reminderId/complete', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.reminderId)) {
+            return res.status(404).json({ error: 'Reminder not found' });
+        }
+        
+        const reminder = await Reminder.findOne({ _id: req.params.reminderId, userId: req.userId });
+        if (!reminder) {
+            return res.status(404).json({ error: 'Reminder not found' });
+        }
+        
+        const { odometer, date, nextDueDate } = req.body || {};
+        const completedAt = date ? new Date(date) : new Date();
+        if (isNaN(completedAt.getTime()) || (nextDueDate && isNaN(new Date(nextDueDate).getTime()))) {
+            return res.status(400).json({ error: 'Dates must be valid' });
+        }
+        
+        if (reminder.intervalKm || reminder.intervalMonths) {
+            const vehicle = reminder.vehicleId ? await getUserVehicle(req.userId, reminder.vehicleId) : null;
+            const currentOdometer = vehicle ? vehicle.currentOdometer : (await getUserData(req.userId)).currentOdometer;
+            reminder.lastServiceOdometer = typeof odometer === 'number' ? odometer : currentOdometer;
+            reminder.lastServiceDate = completedAt;
+        } else {
+            // Registration and insurance renew for a year unless told otherwise
+            reminder.dueDate = nextDueDate ? new Date(nextDueDate) : moment(reminder.dueDate || completedAt).add(1, 'year').toDate();
+        }
+        reminder.lastNotifiedStage = null;
+        reminder.lastNotifiedAt = null;
+        await reminder.save();
+        
+        res.json({ success: true, reminder });
+    } catch (error) {
+        console.error('Error completing reminder:', error);
+        res.status(500).json({ error: 'Failed to complete reminder' });
+    }
+});
+
+app.delete('/api/reminders/:reminderId', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.reminderId)) {
+            return res.status(404).json({ error: 'Reminder not found' });
+        }
+        
+        const reminder = await Reminder.findOneAndDelete({ _id: req.params.reminderId, userId: req.userId });
+        if (!reminder) {
+            return res.status(404).json({ error: 'Reminder not found' });
+        }
+        
+        res.json({ success: true, message: 'Reminder deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting reminder:', error);
+        res.status(500).json({ error: 'Failed to delete reminder' });
+    }
+});
+
+// Helper function to validate saved place fields from a request body
+function validatePlaceInput(body, isUpdate) {
+    const { name, latitude, longitude, radius, defaultPurpose } = body;
+    
+    if (!isUpdate || name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) {
+            return 'Place name is required';
+        }
+        if (name.trim().length > 60) {
+            return 'Place name must be 60 characters or less';
+        }
+    }
+    
+    if (!isUpdate || latitude !== undefined || longitude !== undefined) {
+        if (typeof latitude !== 'number' || typeof longitude !== 'number' ||
+            latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+            return 'Valid latitude and longitude are required';
+        }
+    }
+    
+    if (radius !== undefined && (typeof radius !== 'number' || radius < 10 || radius > 5000)) {
+        return 'Radius must be between 10 and 5000 metres';
+    }
+    
+    if (defaultPurpose !== undefined && typeof defaultPurpose !== 'string') {
+        return 'Default purpose must be text';
+    }
+    
+    return null;
+}
+
+// Saved place routes
+app.get('/api/places', authenticateToken, async (req, res) => {
+    try {
+        const places = await Place.find({ userId: req.userId }).sort({ name: 1 });
+        res.json({ places });
+    } catch (error) {
+        console.error('Error fetching places:', error);
+        res.status(500).json({ error: 'Failed to fetch places' });
+    }
+});
+
+// Find the saved place at a location, so the client can pre-fill a trip's purpose
+app.get('/api/places/match', authenticateToken, async (req, res) => {
+    try {
+        const latitude = parseFloat(req.query.latitude);
+        const longitude = parseFloat(req.query.longitude);
+        
+        if (isNaN(latitude) || isNaN(longitude)) {
+            return res.status(400).json({ error: 'Location coordinates are required' });
+        }
+        
+        const place = await findMatchingPlace(req.userId, latitude, longitude);
+        res.json({ place });
+    } catch (error) {
+        console.error('Error matching place:', error);
+        res.status(500).json({ error: 'Failed to match place' });
+    }
+});
+
+app.post('/api/places', authenticateToken, async (req, res) => {
+    try {
+        const validationError = validatePlaceInput(req.body, false);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { name, latitude, longitude, radius, defaultPurpose } = req.body;
+        
+        if (await Place.exists({ userId: req.userId, name: name.trim() })) {
+            return res.status(400).json({ error: 'A place with this name already exists' });
+        }
+        
+        const place = new Place({
+            userId: req.userId,
+            name: name.trim(),
+            latitude,
+            longitude,
+            radius,
+            defaultPurpose: defaultPurpose || ''
+        });
+        await place.save();
+        
+        res.json({ success: true, place });
+    } catch (error) {
+        console.error('Error creating place:', error);
+        res.status(500).json({ error: 'Failed to create place' });
+    }
+});
+
+app.put('/api/places/:placeId', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.placeId)) {
+            return res.status(404).json({ error: 'Place not found' });
+        }
+        
+        const place = await Place.findOne({ _id: req.params.placeId, userId: req.userId });
+        if (!place) {
+            return res.status(404).json({ error: 'Place not found' });
+        }
+        
+        const validationError = validatePlaceInput(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { name, latitude, longitude, radius, defaultPurpose } = req.body;
+        
+        if (name !== undefined) {
+            if (await Place.exists({ userId: req.userId, name: name.trim(), _id: { $ne: place._id } })) {
+                return res.status(400).json({ error: 'A place with this name already exists' });
+            }
+            place.name = name.trim();
+        }
+        if (latitude !== undefined) place.latitude = latitude;
+        if (longitude !== undefined) place.longitude = longitude;
+        if (radius !== undefined) place.radius = radius;
+        if (defaultPurpose !== undefined) place.defaultPurpose = defaultPurpose;
+        
+        await place.save();
+        res.json({ success: true, place });
+    } catch (error) {
+        console.error('Error updating place:', error);
+        res.status(500).json({ error: 'Failed to update place' });
+    }
+});
+
+app.delete('/api/places/:placeId', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.placeId)) {
+            return res.status(404).json({ error: 'Place not found' });
+        }
+        
+        // Trips keep the area name they were labelled with
+        const place = await Place.findOneAndDelete({ _id: req.params.placeId, userId: req.userId });
+        if (!place) {
+            return res.status(404).json({ error: 'Place not found' });
+        }
+        
+        res.json({ success: true, message: 'Place deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting place:', error);
+        res.status(500).json({ error: 'Failed to delete place' });
+    }
+});
+
+// Helper function to load the caller's membership, replying with an error unless they hold one of the roles
+async function requireOrganisationRole(req, res, roles) {
+    const membership = await getOrganisationMembership(req.userId, req.params.organisationId);
+    if (!membership) {
+        res.status(404).json({ error: 'Organisation not found' });
+        return null;
+    }
+    if (!roles.includes(membership.role)) {
+        res.status(403).json({ error: `This requires one of these roles: ${roles.join(', ')}` });
+        return null;
+    }
+    return membership;
+}
+
+const ORGANISATION_ROLES = OrganisationMember.schema.path('role').enumValues;
+
+// Organisation routes
+app.get('/api/organisations', authenticateToken, async (req, res) => {
+    try {
+        const memberships = await OrganisationMember.find({ userId: req.userId });
+        const organisations = await Organisation.find({ _id: { $in: memberships.map(membership => membership.organisationId) } }).sort({ name: 1 });
+        const roles = new Map(memberships.map(membership => [String(membership.organisationId), membership.role]));
+        
+        res.json({
+            organisations: organisations.map(organisation => ({
+                ...organisation.toObject(),
+                role: roles.get(String(organisation._id))
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching organisations:', error);
+        res.status(500).json({ error: 'Failed to fetch organisations' });
+    }
+});
+
+app.post('/api/organisations', authenticateToken, async (req, res) => {
+    try {
+        const { name } = req.body;
+        if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'Organisation name is required' });
+        }
+        
+        const organisation = new Organisation({ name: name.trim(), ownerId: req.userId });
+        await organisation.save();
+        await new OrganisationMember({ organisationId: organisation._id, userId: req.userId, role: 'owner' }).save();
+        
+        res.json({ success: true, organisation: { ...organisation.toObject(), role: 'owner' } });
+    } catch (error) {
+        console.error('Error creating organisation:', error);
+        res.status(500).json({ error: 'Failed to create organisation' });
+    }
+});
+
+app.get('/api/organisations/:organisationId/members', authenticateToken, async (req, res) => {
+    try {
+        if (!await requireOrganisationRole(req, res, ORGANISATION_MANAGER_ROLES)) {
+            return;
+        }
+        
+        const members = await OrganisationMember.find({ organisationId: req.params.organisationId }).sort({ role: 1, userId: 1 });
+        const users = await User.find({ email: { $in: members.map(member => member.userId) } }, { email: 1, fullName: 1 });
+        const names = new Map(users.map(user => [user.email, user.fullName]));
+        
+        res.json({
+            members: members.map(member => ({
+                userId: member.userId,
+                fullName: names.get(member.userId) || null,
+                role: member.role,
+                joinedAt: member.joinedAt
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching organisation members:', error);
+        res.status(500).json({ error: 'Failed to fetch organisation members' });
+    }
+});
+
+// Add an existing user to the organisation - managers can only add drivers
+app.post('/api/organisations/:organisationId/members', authenticateToken, async (req, res) => {
+    try {
+        const membership = await requireOrganisationRole(req, res, ORGANISATION_MANAGER_ROLES);
+        if (!membership) {
+            return;
+        }
+        
+        const email = typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+        const role = req.body.role || 'driver';
+        
+        if (!ORGANISATION_ROLES.includes(role) || role === 'owner') {
+            return res.status(400).json({ error: 'Role must be manager or driver' });
+        }
+        
+        if (membership.role === 'manager' && role !== 'driver') {
+            return res.status(403).json({ error: 'Managers can only add drivers' });
+        }
+        
+        if (!await User.exists({ email })) {
+            return res.status(404).json({ error: 'No user is registered with that email' });
+        }
+        
+        if (await OrganisationMember.exists({ organisationId: req.params.organisationId, userId: email })) {
+            return res.status(400).json({ error: 'That user is already a member' });
+        }
+        
+        const member = new OrganisationMember({ organisationId: req.params.organisationId, userId: email, role });
+        await member.save();
+        
+        res.json({ success: true, member });
+    } catch (error) {
+        console.error('Error adding organisation member:', error);
+        res.status(500).json({ error: 'Failed to add organisation member' });
+    }
+});
+
+// Change a member's role - owners only
+app.put('/api/organisations/:organisationId/members/:memberId', authenticateToken, async (req, res) => {
+    try {
+        if (!await requireOrganisationRole(req, res, ['owner'])) {
+            return;
+        }
+        
+        const { role } = req.body;
+        if (!ORGANISATION_ROLES.includes(role) || role === 'owner') {
+            return res.status(400).json({ error: 'Role must be manager or driver' });
+        }
+        
+        const member = await OrganisationMember.findOne({ organisationId: req.params.organisationId, userId: req.params.memberId });
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        
+        if (member.role === 'owner') {
+            return res.status(400).json({ error: "The owner's role can't be changed" });
+        }
+        
+        member.role = role;
+        await member.save();
+        
+        res.json({ success: true, member });
+    } catch (error) {
+        console.error('Error updating organisation member:', error);
+        res.status(500).json({ error: 'Failed to update organisation member' });
+    }
+});
+
+// Remove a member, or leave the organisation when memberId is your own email
+app.delete('/api/organisations/:organisationId/members/:memberId', authenticateToken, async (req, res) => {
+    try {
+        const membership = await getOrganisationMembership(req.userId, req.params.organisationId);
+        if (!membership) {
+            return res.status(404).json({ error: 'Organisation not found' });
+        }
+        
+        const member = await OrganisationMember.findOne({ organisationId: req.params.organisationId, userId: req.params.memberId });
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        
+        if (member.role === 'owner') {
+            return res.status(400).json({ error: "The owner can't be removed from the organisation" });
+        }
+        
+        const isSelf = member.userId === req.userId;
+        const canRemove = membership.role === 'owner' || (membership.role === 'manager' && member.role === 'driver');
+        if (!isSelf && !canRemove) {
+            return res.status(403).json({ error: 'You are not allowed to remove this member' });
+        }
+        
+        // Trips already submitted stay with the organisation for its records
+        await member.deleteOne();
+        res.json({ success: true, message: 'Member removed successfully' });
+    } catch (error) {
+        console.error('Error removing organisation member:', error);
+        res.status(500).json({ error: 'Failed to remove organisation member' });
+    }
+});
+
+// Helper function to record an approval comment on a trip
+function addApprovalComment(trip, { author, role, text, status }) {
+    trip.approvalComments.push({ author, role, text: typeof text === 'string' ? text.trim() : '', status, createdAt: new Date() });
+}
+
+// Helper function to send a changed trip back to the manager, even if it was already approved
+function resubmitChangedTrip(trip, author, text) {
+    if (trip.approvalStatus === 'pending' || trip.approvalStatus === 'approved') {
+        trip.approvalStatus = 'pending';
+        trip.submittedAt = new Date();
+        trip.reviewedBy = undefined;
+        trip.reviewedAt = undefined;
+        addApprovalComment(trip, { author, role: 'driver', text, status: 'pending' });
+    }
+}
+
+// Submit a completed trip for manager approval
+app.post('/api/trip/:tripId/submit', authenticateToken, async (req, res) => {
+    try {
+        const { organisationId, comment } = req.body || {};
+        
+        const trip = await Trip.findOne({ id: parseInt(req.params.tripId), userId: req.userId, draft: { $ne: true } });
+        if (!trip) {
+            return res.status(404).json({ error: 'Trip not found' });
+        }
+        
+        if (trip.approvalStatus === 'pending' || trip.approvalStatus === 'approved') {
+            return res.status(400).json({ error: `Trip is already ${trip.approvalStatus}` });
+        }
+        
+        // Fleet trips go to the vehicle's organisation; otherwise the driver picks one (or has only one)
+        if (trip.organisationId && organisationId && String(organisationId) !== String(trip.organisationId)) {
+            return res.status(400).json({ error: 'This trip can only be submitted to the organisation it belongs to' });
+        }
+        
+        let targetOrganisationId = trip.organisationId || organisationId;
+        if (!targetOrganisationId) {
+            const organisationIds = await getUserOrganisationIds(req.userId);
+            if (organisationIds.length !== 1) {
+                return res.status(400).json({ error: 'Please choose the organisation to submit this trip to' });
+            }
+            targetOrganisationId = organisationIds[0];
+        }
+        
+        const membership = await getOrganisationMembership(req.userId, targetOrganisationId);
+        if (!membership) {
+            return res.status(404).json({ error: 'Organisation not found' });
+        }
+        
+        trip.organisationId = membership.organisationId;
+        trip.approvalStatus = 'pending';
+        trip.submittedAt = new Date();
+        trip.reviewedBy = undefined;
+        trip.reviewedAt = undefined;
+        addApprovalComment(trip, { author: req.userId, role: membership.role, text: comment, status: 'pending' });
+        await trip.save();
+        
+        res.json({ success: true, trip });
+    } catch (error) {
+        console.error('Error submitting trip:', error);
+        res.status(500).json({ error: 'Failed to submit trip' });
+    }
+});
+
+// Manager view of the organisation's trips across all drivers (see findTripPage for the filters)
+// Extra filters: driver (email), approvalStatus, vehicleId
+app.get('/api/organisations/:organisationId/trips', authenticateToken, async (req, res) => {
+    try {
+        if (!await requireOrganisationRole(req, res, ORGANISATION_MANAGER_ROLES)) {
+            return;
+        }
+        
+        const query = { organisationId: req.params.organisationId, draft: { $ne: true } };
+        if (req.query.driver) {
+            query.userId = String(req.query.driver).toLowerCase();
+        }
+        if (req.query.approvalStatus) {
+            query.approvalStatus = req.query.approvalStatus === 'none' ? null : req.query.approvalStatus;
+        }
+        if (req.query.vehicleId) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.vehicleId)) {
+                return res.status(404).json({ error: 'Vehicle not found' });
+            }
+            query.vehicleId = req.query.vehicleId;
+        }
+        
+        const page = await findTripPage(query, req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+        
+        res.json(page);
+    } catch (error) {
+        console.error('Error fetching organisation trips:', error);
+        res.status(500).json({ error: 'Failed to fetch organisation trips' });
+    }
+});
+
+// Approve or reject a submitted trip, with an optional comment for the driver
+app.post('/api/organisations/:organisationId/trips/:tripObjectId/review', authenticateToken, async (req, res) => {
+    try {
+        const membership = await requireOrganisationRole(req, res, ORGANISATION_MANAGER_ROLES);
+        if (!membership) {
+            return;
+        }
+        
+        const { decision, comment } = req.body || {};
+        if (decision !== 'approved' && decision !== 'rejected') {
+            return res.status(400).json({ error: 'Decision must be approved or rejected' });
+        }
+        
+        if (decision === 'rejected' && (typeof comment !== 'string' || !comment.trim())) {
+            return res.status(400).json({ error: 'Please give the driver a reason for rejecting the trip' });
+        }
+        
+        const trip = mongoose.Types.ObjectId.isValid(req.params.tripObjectId)
+            ? await Trip.findOne({ _id: req.params.tripObjectId, organisationId: req.params.organisationId })
+            : null;
+        if (!trip) {
+            return res.status(404).json({ error: 'Trip not found' });
+        }
+        
+        if (trip.approvalStatus !== 'pending') {
+            return res.status(400).json({ error: 'Only trips awaiting approval can be reviewed' });
+        }
+        
+        // Nobody approves their own trips
+        if (trip.userId === req.userId) {
+            return res.status(403).json({ error: 'You cannot review your own trip' });
+        }
+        
+        trip.approvalStatus = decision;
+        trip.reviewedBy = req.userId;
+        trip.reviewedAt = new Date();
+        addApprovalComment(trip, { author: req.userId, role: membership.role, text: comment, status: decision });
+        await trip.save();
+        
+        res.json({ success: true, trip });
+    } catch (error) {
+        console.error('Error reviewing trip:', error);
+        res.status(500).json({ error: 'Failed to review trip' });
+    }
+});
+
+// Manager export of the organisation's Motor Vehicle Log across all drivers
+// Body: startDate, endDate, format, plus optional driver, vehicleId and approvalStatus (default approved)
+app.post('/api/organisations/:organisationId/trips/export', authenticateToken, rateLimit('export'), async (req, res) => {
+    try {
+        if (!await requireOrganisationRole(req, res, ORGANISATION_MANAGER_ROLES)) {
+            return;
+        }
+        
+        const { startDate, endDate, format, error } = validateExportRequest(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const organisation = await Organisation.findById(req.params.organisationId);
+        const { driver, vehicleId } = req.body;
+        const approvalStatus = req.body.approvalStatus || 'approved';
+        
+        const tripQuery = {
+            organisationId: organisation._id,
+            draft: { $ne: true },
+            startDate: { $gte: startDate, $lte: endDate }
+        };
+        if (approvalStatus !== 'all') {
+            tripQuery.approvalStatus = approvalStatus;
+        }
+        if (driver) {
+            tripQuery.userId = String(driver).toLowerCase();
+        }
+        
+        let vehicle = null;
+        if (vehicleId) {
+            vehicle = mongoose.Types.ObjectId.isValid(vehicleId)
+                ? await Vehicle.findOne({ _id: vehicleId, organisationId: organisation._id })
+                : null;
+            if (!vehicle) {
+                return res.status(404).json({ error: 'Vehicle not found' });
+            }
+            tripQuery.vehicleId = vehicle._id;
+        }
+        
+        const trips = await Trip.find(tripQuery).sort({ startTime: 1 });
+        if (trips.length === 0) {
+            return res.status(404).json({ error: 'No trips found in the specified date range' });
+        }
+        
+        const users = await User.find({ email: { $in: [...new Set(trips.map(trip => trip.userId))] } }, { email: 1, fullName: 1 });
+        const drivers = new Map(users.map(user => [user.email, user.fullName]));
+        
+        await sendLogbookExport(res, {
+            trips,
+            format,
+            startDate,
+            endDate,
+            driverName: driver ? drivers.get(tripQuery.userId) || tripQuery.userId : `${organisation.name} (all drivers)`,
+            vehicle,
+            filenamePrefix: `Motor_Vehicle_Log_${organisation.name.replace(/[^A-Za-z0-9]/g, '')}`,
+            drivers
+        });
+    } catch (error) {
+        console.error('Organisation export error:', error);
+        res.status(500).json({ error: 'Failed to export organisation trips' });
+    }
+});
+
+// Trip classifications used for the ATO logbook method
+const TRIP_CLASSIFICATIONS = Trip.schema.path('classification').enumValues;
+
+// Start a new trip
+app.post('/api/trip/start', authenticateToken, async (req, res) => {
+    try {
+        const { purpose, date, latitude, longitude, vehicleId, classification } = req.body;
+        
+        // Validation
+        if (classification && !TRIP_CLASSIFICATIONS.includes(classification)) {
+            return res.status(400).json({ error: `Trip classification must be one of: ${TRIP_CLASSIFICATIONS.join(', ')}` });
+        }
+        
+        if (!date) {
+            return res.status(400).json({ error: 'Trip date is required' });
+        }
+        
+        if (!latitude || !longitude) {
+            return res.status(400).json({ error: 'Location coordinates are required' });
+        }
+        
+        // Starting at a saved place pre-fills the purpose. Otherwise it can be left blank when a saved
+        // place has a default purpose, and the trip picks up its destination's default when it ends
+        const startPlace = await findMatchingPlace(req.userId, latitude, longitude);
+        const tripPurpose = (typeof purpose === 'string' && purpose.trim()) || (startPlace && startPlace.defaultPurpose) || '';
+        
+        if (!tripPurpose && !await Place.exists({ userId: req.userId, defaultPurpose: { $nin: ['', null] } })) {
+            return res.status(400).json({ error: 'Purpose of trip is required' });
+        }
+        
+        const userData = await getUserData(req.userId);
+        
+        // Check if there's already an active trip
+        if (userData.activeTrip) {
+            return res.status(400).json({ error: 'Please end current trip before starting a new one' });
+        }
+        
+        // Use the selected vehicle's odometer when a vehicle is given
+        let vehicle = null;
+        if (vehicleId) {
+            vehicle = await getUserVehicle(req.userId, vehicleId);
+            if (!vehicle) {
+                return res.status(404).json({ error: 'Vehicle not found' });
+            }
+        }
+        
+        // Get start area from saved places or coordinates
+        const start = await resolveTripLocation(req.userId, latitude, longitude, startPlace);
+        const startArea = start.area;
+        console.log('Trip Start - Start Area resolved:', startArea);
+        
+        const newTrip = {
+            id: Date.now(),
+            purpose: tripPurpose,
+            classification: classification || 'business',
+            startDate: date,
+            vehicleId: vehicle ? vehicle._id.toString() : null,
+            startOdometer: vehicle ? vehicle.currentOdometer : userData.currentOdometer,
+            startLatitude: latitude,
+            startLongitude: longitude,
+            startArea: startArea,
+            startLocation: start.location,
+            startPlaceId: start.place ? start.place._id.toString() : null,
+            startTime: new Date().toISOString(),
+            active: true,
+            userId: req.userId
+        };
+        
+        console.log('Trip Start - New trip object:', JSON.stringify(newTrip, null, 2));
+        
+        // A manually started trip replaces any drive the detector was partway through
+        await resetTripDetector(userData);
+        
+        userData.activeTrip = newTrip;
+        await userData.save();
+        
+        res.json({ success: true, trip: newTrip });
+    } catch (error) {
+        console.error('Error starting trip:', error);
+        res.status(500).json({ error: 'Failed to start trip' });
+    }
+});
+
+// End current trip
+app.post('/api/trip/end', authenticateTripToken, async (req, res) => {
+    try {
+        const { latitude, longitude, gpsDistance, actualTravelledDistance, userProvidedEndOdometer } = req.body;
+        
+        if (!latitude || !longitude) {
+            return res.status(400).json({ error: 'Location coordinates are required' });
+        }
+        
+        const userData = await getUserData(req.userId);
+        
+        if (!userData.activeTrip) {
+            return res.status(400).json({ error: 'No active trip found' });
+        }
+        
+        const { completedTrip, roundedDistance, distanceSource } = await completeActiveTrip(userData, {
+            latitude,
+            longitude,
+            gpsDistance,
+            actualTravelledDistance,
+            userProvidedEndOdometer
+        });
+        
+        // Note: Individual trip CSV writing removed - use export function instead
+        console.log('Trip completed and saved to database');
+        
+        res.json({ 
+            success: true, 
+            trip: completedTrip,
+            message: `Trip ended successfully! Distance: ${roundedDistance}km (${distanceSource}). Current odometer: ${Math.round(completedTrip.endOdometer)}km`
+        });
+    } catch (error) {
+        console.error('Error ending trip:', error);
+        res.status(500).json({ error: 'Failed to end trip' });
+    }
+});
+
+// Pause the active trip (e.g. during a client meeting)
+app.post('/api/trip/pause', authenticateTripToken, async (req, res) => {
+    try {
+        const userData = await getUserData(req.userId);
+        
+        if (!userData.activeTrip) {
+            return res.status(400).json({ error: 'No active trip found' });
+        }
+        
+        if (userData.activeTrip.paused) {
+            return res.status(400).json({ error: 'Trip is already paused' });
+        }
+        
+        const pausedAt = new Date().toISOString();
+        userData.activeTrip = {
+            ...userData.activeTrip,
+            paused: true,
+            pauseIntervals: [...(userData.activeTrip.pauseIntervals || []), { pausedAt, resumedAt: null }]
+        };
+        await userData.save();
+        
+        console.log('Trip paused:', userData.activeTrip.id, 'at', pausedAt);
+        res.json({ success: true, activeTrip: userData.activeTrip });
+    } catch (error) {
+        console.error('Error pausing trip:', error);
+        res.status(500).json({ error: 'Failed to pause trip' });
+    }
+});
+
+// Resume a paused trip
+app.post('/api/trip/resume', authenticateTripToken, async (req, res) => {
+    try {
+        const userData = await getUserData(req.userId);
+        
+        if (!userData.activeTrip) {
+            return res.status(400).json({ error: 'No active trip found' });
+        }
+        
+        if (!userData.activeTrip.paused) {
+            return res.status(400).json({ error: 'Trip is not paused' });
+        }
+        
+        const resumedAt = new Date().toISOString();
+        const pauseIntervals = [...(userData.activeTrip.pauseIntervals || [])];
+        const openInterval = pauseIntervals[pauseIntervals.length - 1];
+        pauseIntervals[pauseIntervals.length - 1] = { ...openInterval, resumedAt };
+        
+        userData.activeTrip = { ...userData.activeTrip, paused: false, pauseIntervals };
+        await userData.save();
+        
+        console.log('Trip resumed:', userData.activeTrip.id, 'at', resumedAt);
+        res.json({ success: true, activeTrip: userData.activeTrip });
+    } catch (error) {
+        console.error('Error resuming trip:', error);
+        res.status(500).json({ error: 'Failed to resume trip' });
+    }
+});
+
+// Mark a stop during the active trip
+app.post('/api/trip/stop', authenticateTripToken, async (req, res) => {
+    try {
+        const { latitude, longitude, note } = req.body;
+        
+        if (!latitude || !longitude) {
+            return res.status(400).json({ error: 'Location coordinates are required' });
+        }
+        
+        if (note !== undefined && typeof note !== 'string') {
+            return res.status(400).json({ error: 'Stop note must be text' });
+        }
+        
+        const userData = await getUserData(req.userId);
+        
+        if (!userData.activeTrip) {
+            return res.status(400).json({ error: 'No active trip found' });
+        }
+        
+        const { area } = await resolveTripLocation(req.userId, latitude, longitude);
+        const now = new Date().toISOString();
+        
+        // Arriving at a new stop means we've left the previous one
+        const stops = (userData.activeTrip.stops || []).map(stop => (
+            stop.departureTime ? stop : { ...stop, departureTime: now }
+        ));
+        const stop = {
+            id: Date.now(),
+            latitude,
+            longitude,
+            area,
+            arrivalTime: now,
+            departureTime: null,
+            note: note ? note.trim() : ''
+        };
+        stops.push(stop);
+        
+        userData.activeTrip = { ...userData.activeTrip, stops };
+        await userData.save();
+        
+        console.log('Trip stop added:', userData.activeTrip.id, area);
+        res.json({ success: true, stop, stops });
+    } catch (error) {
+        console.error('Error adding trip stop:', error);
+        res.status(500).json({ error: 'Failed to add trip stop' });
+    }
+});
+
+// Record departure from a stop during the active trip
+app.post('/api/trip/stop/:stopId/depart', authenticateTripToken, async (req, res) => {
+    try {
+        const { note } = req.body || {};
+        
+        if (note !== undefined && typeof note !== 'string') {
+            return res.status(400).json({ error: 'Stop note must be text' });
+        }
+        
+        const userData = await getUserData(req.userId);
+        
+        if (!userData.activeTrip) {
+            return res.status(400).json({ error: 'No active trip found' });
+        }
+        
+        const stopId = parseInt(req.params.stopId);
+        const stops = [...(userData.activeTrip.stops || [])];
+        const index = stops.findIndex(stop => stop.id === stopId);
+        
+        if (index === -1) {
+            return res.status(404).json({ error: 'Stop not found' });
+        }
+        
+        if (stops[index].departureTime) {
+            return res.status(400).json({ error: 'Already departed from this stop' });
+        }
+        
+        stops[index] = {
+            ...stops[index],
+            departureTime: new Date().toISOString(),
+            note: note !== undefined ? note.trim() : stops[index].note
+        };
+        
+        userData.activeTrip = { ...userData.activeTrip, stops };
+        await userData.save();
+        
+        res.json({ success: true, stop: stops[index], stops });
+    } catch (error) {
+        console.error('Error departing trip stop:', error);
+        res.status(500).json({ error: 'Failed to record departure from stop' });
+    }
+});
+
+// Maximum number of GPS fixes accepted in one route upload
+const ROUTE_BATCH_LIMIT = 500;
+
+// Update trip route (add GPS points during trip, singly or in batches)
+app.post('/api/trip/route', authenticateTripToken, rateLimit('tracking'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const rawPoints = Array.isArray(body.points) ? body.points : [body];
+        
+        if (rawPoints.length === 0) {
+            return res.status(400).json({ error: 'At least one route point is required' });
+        }
+        
+        if (rawPoints.length > ROUTE_BATCH_LIMIT) {
+            return res.status(400).json({ error: `A maximum of ${ROUTE_BATCH_LIMIT} route points can be sent at once` });
+        }
+        
+        if (rawPoints.some(point => !point || !point.latitude || !point.longitude)) {
+            return res.status(400).json({ error: 'Location coordinates are required' });
+        }
+        
+        const userData = await getUserData(req.userId);
+        
+        // Nothing is recorded while the trip is paused
+        if (userData.activeTrip && userData.activeTrip.paused) {
+            return res.status(409).json({ error: 'Trip is paused', paused: true });
+        }
+        
+        // Batched points carry their own capture time; single live points are stamped on arrival
+        const now = new Date();
+        const points = rawPoints.map(point => {
+            const timestamp = point.timestamp ? new Date(point.timestamp) : now;
+            return {
+                latitude: point.latitude,
+                longitude: point.longitude,
+                accuracy: point.accuracy || 0,
+                timestamp: isNaN(timestamp.getTime()) || timestamp > now ? now : timestamp,
+                clientId: point.clientId !== undefined && point.clientId !== null ? String(point.clientId) : undefined
+            };
+        });
+        
+        // Without an active trip the points go to the trip detector, which may produce draft trips
+        if (!userData.activeTrip) {
+            const detection = await runTripDetector(userData, points);
+            return res.json({
+                success: true,
+                detecting: true,
+                status: detection.status,
+                drafts: detection.drafts
+            });
+        }
+        
+        const { accepted, duplicates } = await appendRoutePoints(req.userId, userData.activeTrip.id, points);
+        
+        res.json({ success: true, accepted: accepted.length, duplicates: duplicates.length });
+    } catch (error) {
+        console.error('Error updating trip route:', error);
+        res.status(500).json({ error: 'Failed to update trip route' });
+    }
+});
+
+// Sync route points and trip events captured offline by the service worker
+const SYNC_BATCH_LIMIT = 500;
+const SYNC_TYPE_ORDER = { start: 0, point: 1, end: 2 };
+
+// Helper function to validate a queued offline record before it is merged
+function validateSyncItem(item) {
+    if (!item || typeof item !== 'object') {
+        return 'Invalid sync record';
+    }
+    
+    if (item.id === undefined || item.id === null || item.id === '') {
+        return 'Client id is required';
+    }
+    
+    const type = item.type || 'point';
+    if (!(type in SYNC_TYPE_ORDER)) {
+        return `Unknown record type: ${type}`;
+    }
+    
+    if (!item.timestamp || isNaN(new Date(item.timestamp).getTime())) {
+        return 'Valid timestamp is required';
+    }
+    
+    if (typeof item.latitude !== 'number' || typeof item.longitude !== 'number' ||
+        isNaN(item.latitude) || isNaN(item.longitude)) {
+        return 'Location coordinates are required';
+    }
+    
+    if (type === 'start' && (!item.purpose || !String(item.purpose).trim())) {
+        return 'Purpose of trip is required';
+    }
+    
+    if (type === 'start' && item.classification && !TRIP_CLASSIFICATIONS.includes(item.classification)) {
+        return `Trip classification must be one of: ${TRIP_CLASSIFICATIONS.join(', ')}`;
+    }
+    
+    return null;
+}
+
+app.post('/api/trip/sync', authenticateTripToken, rateLimit('tracking'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const items = Array.isArray(body) ? body : (Array.isArray(body.items) ? body.items : [body]);
+        
+        if (items.length === 0) {
+            return res.status(400).json({ error: 'No sync records provided' });
+        }
+        
+        if (items.length > SYNC_BATCH_LIMIT) {
+            return res.status(400).json({ error: `A maximum of ${SYNC_BATCH_LIMIT} records can be synced at once` });
+        }
+        
+        const userData = await getUserData(req.userId);
+        const results = new Map();
+        const pending = [];
+        
+        items.forEach((item, index) => {
+            const validationError = validateSyncItem(item);
+            const key = item && item.id !== undefined && item.id !== null ? item.id : `#${index}`;
+            if (validationError) {
+                results.set(key, { id: key, accepted: false, error: validationError });
+                return;
+            }
+            pending.push({
+                ...item,
+                id: key,
+                type: item.type || 'point',
+                timestamp: new Date(item.timestamp)
+            });
+        });
+        
+        // Replay records in the order they were captured
+        pending.sort((a, b) => (a.timestamp - b.timestamp) ||
+            (SYNC_TYPE_ORDER[a.type] - SYNC_TYPE_ORDER[b.type]));
+        
+        // Points for the active trip are buffered until the trip is ended or the batch finishes
+        let activePoints = [];
+        // Points for completed trips are grouped so each Trip document is saved once
+        const completedTripPoints = new Map();
+        
+        const flushActivePoints = async () => {
+            if (!userData.activeTrip || activePoints.length === 0) {
+                return;
+            }
+            const { accepted, duplicates } = await appendRoutePoints(req.userId, userData.activeTrip.id, activePoints);
+            accepted.forEach(id => results.set(id, { id, accepted: true, tripId: userData.activeTrip.id }));
+            duplicates.forEach(id => results.set(id, { id, accepted: true, duplicate: true, tripId: userData.activeTrip.id }));
+            activePoints = [];
+        };
+        
+        const findCompletedTrip = async (item) => {
+            const query = { userId: req.userId, active: false };
+            if (item.tripId !== undefined && item.tripId !== null) {
+                query.id = parseInt(item.tripId);
+            } else {
+                query.startTime = { $lte: item.timestamp };
+                query.endTime = { $gte: item.timestamp };
+            }
+            return Trip.findOne(query);
+        };
+        
+        for (const item of pending) {
+            const activeTrip = userData.activeTrip;
+            const clientId = String(item.id);
+            
+            if (item.type === 'start') {
+                const tripId = item.tripId !== undefined && item.tripId !== null ? parseInt(item.tripId) : item.timestamp.getTime();
+                
+                if (activeTrip && activeTrip.id === tripId) {
+                    results.set(item.id, { id: item.id, accepted: true, duplicate: true, tripId });
+                    continue;
+                }
+                
+                if (await Trip.exists({ userId: req.userId, id: tripId })) {
+                    results.set(item.id, { id: item.id, accepted: true, duplicate: true, tripId });
+                    continue;
+                }
+                
+                if (activeTrip) {
+                    results.set(item.id, { id: item.id, accepted: false, error: 'Another trip is already active' });
+                    continue;
+                }
+                
+                const vehicle = item.vehicleId ? await getUserVehicle(req.userId, item.vehicleId) : null;
+                if (item.vehicleId && !vehicle) {
+                    results.set(item.id, { id: item.id, accepted: false, error: 'Vehicle not found' });
+                    continue;
+                }
+                
+                const start = await resolveTripLocation(req.userId, item.latitude, item.longitude);
+                const startArea = start.area;
+                
+                await resetTripDetector(userData);
+                userData.activeTrip = {
+                    id: tripId,
+                    purpose: String(item.purpose).trim(),
+                    classification: item.classification || 'business',
+                    startDate: item.date || moment(item.timestamp).format('YYYY-MM-DD'),
+                    vehicleId: vehicle ? vehicle._id.toString() : null,
+                    startOdometer: vehicle ? vehicle.currentOdometer : userData.currentOdometer,
+                    startLatitude: item.latitude,
+                    startLongitude: item.longitude,
+                    startArea: startArea,
+                    startLocation: start.location,
+                    startPlaceId: start.place ? start.place._id.toString() : null,
+                    startTime: item.timestamp.toISOString(),
+                    active: true,
+                    userId: req.userId
+                };
+                userData.markModified('activeTrip');
+                await userData.save();
+                
+                console.log('Trip Sync - Started offline trip:', tripId);
+                results.set(item.id, { id: item.id, accepted: true, tripId });
+            } else if (item.type === 'end') {
+                const tripId = item.tripId !== undefined && item.tripId !== null ? parseInt(item.tripId) : null;
+                
+                if (tripId !== null && await Trip.exists({ userId: req.userId, id: tripId })) {
+                    results.set(item.id, { id: item.id, accepted: true, duplicate: true, tripId });
+                    continue;
+                }
+                
+                if (!activeTrip || (tripId !== null && activeTrip.id !== tripId)) {
+                    results.set(item.id, { id: item.id, accepted: false, error: 'No matching active trip found' });
+                    continue;
+                }
+                
+                await flushActivePoints();
+                
+                await completeActiveTrip(userData, {
+                    latitude: item.latitude,
+                    longitude: item.longitude,
+                    gpsDistance: item.gpsDistance,
+                    actualTravelledDistance: item.actualTravelledDistance,
+                    userProvidedEndOdometer: item.userProvidedEndOdometer,
+                    endTime: item.timestamp
+                });
+                
+                console.log('Trip Sync - Completed offline trip:', activeTrip.id);
+                results.set(item.id, { id: item.id, accepted: true, tripId: activeTrip.id });
+            } else {
+                const point = {
+                    latitude: item.latitude,
+                    longitude: item.longitude,
+                    accuracy: item.accuracy || 0,
+                    timestamp: item.timestamp,
+                    clientId
+                };
+                
+                const belongsToActiveTrip = activeTrip &&
+                    (item.tripId !== undefined && item.tripId !== null
+                        ? activeTrip.id === parseInt(item.tripId)
+                        : item.timestamp >= new Date(activeTrip.startTime));
+                
+                if (belongsToActiveTrip) {
+                    activePoints.push({ ...point, id: item.id });
+                    continue;
+                }
+                
+                const trip = await findCompletedTrip(item);
+                if (!trip) {
+                    results.set(item.id, { id: item.id, accepted: false, error: 'No trip found for this route point' });
+                    continue;
+                }
+                
+                const key = trip._id.toString();
+                if (!completedTripPoints.has(key)) {
+                    completedTripPoints.set(key, { trip, points: [] });
+                }
+                completedTripPoints.get(key).points.push({ ...point, id: item.id });
+            }
+        }
+        
+        await flushActivePoints();
+        
+        for (const { trip, points } of completedTripPoints.values()) {
+            await migrateEmbeddedRoutePoints(req.userId, trip);
+            const { accepted, duplicates } = await appendRoutePoints(req.userId, trip.id, points);
+            
+            // Late points change the stored geometry and measured route distances, not the logged distance
+            if (accepted.length > 0) {
+                const { routeCleaning, routePoints, routePointCount } = buildRouteGeometry(await getFullRoutePoints(req.userId, trip), trip.pauseIntervals);
+                trip.routePoints = routePoints;
+                trip.routePointCount = routePointCount;
+                trip.rawRouteDistance = routeCleaning.rawDistance;
+                trip.cleanedRouteDistance = routeCleaning.cleanedDistance;
+                trip.routeCleaning = routeCleaning.stats;
+                await trip.save();
+            }
+            
+            accepted.forEach(id => results.set(id, { id, accepted: true, tripId: trip.id }));
+            duplicates.forEach(id => results.set(id, { id, accepted: true, duplicate: true, tripId: trip.id }));
+        }
+        
+        // Report results in the order the client sent them
+        const orderedResults = items.map((item, index) => {
+            const key = item && item.id !== undefined && item.id !== null ? item.id : `#${index}`;
+            return results.get(key);
+        });
+        const acceptedCount = orderedResults.filter(result => result && result.accepted).length;
+        
+        console.log(`Trip Sync - ${acceptedCount} of ${items.length} records accepted for ${req.userId}`);
+        
+        res.json({
+            success: true,
+            accepted: acceptedCount,
+            rejected: items.length - acceptedCount,
+            results: orderedResults
+        });
+    } catch (error) {
+        console.error('Error syncing trip data:', error);
+        res.status(500).json({ error: 'Failed to sync trip data' });
+    }
+});
+
+// Get active trip
+app.get('/api/trip/active', authenticateTripToken, async (req, res) => {
+    try {
+        const userData = await getUserData(req.userId);
+        res.json({ activeTrip: userData.activeTrip || null });
+    } catch (error) {
+        console.error('Error fetching active trip:', error);
+        res.status(500).json({ error: 'Failed to fetch active trip' });
+    }
+});
+
+// Trip history page sizes
+const TRIPS_PAGE_DEFAULT = 50;
+const TRIPS_PAGE_MAX = 200;
+
+// Sort options for trip history, mapped to the Trip field they order by
+const TRIP_SORT_FIELDS = {
+    date: 'startTime',
+    distance: 'totalDistance'
+};
+
+// Helper function to escape user text for use in a regular expression
+function escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Helper function to encode the position after the last trip of a page
+function encodeTripCursor(sort, trip) {
+    const field = TRIP_SORT_FIELDS[sort];
+    const value = trip[field] instanceof Date ? trip[field].toISOString() : trip[field];
+    return Buffer.from(JSON.stringify({ sort, value, id: String(trip._id) })).toString('base64url');
+}
+
+// Helper function to decode a trip history cursor, or return null if it is invalid for this sort
+function decodeTripCursor(cursor, sort) {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (decoded.sort !== sort || !mongoose.Types.ObjectId.isValid(decoded.id)) {
+            return null;
+        }
+        const value = TRIP_SORT_FIELDS[sort] === 'startTime' ? new Date(decoded.value) : decoded.value;
+        if (value === null || value === undefined || (value instanceof Date && isNaN(value.getTime()))) {
+            return null;
+        }
+        return { value, id: new mongoose.Types.ObjectId(decoded.id) };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Helper function to build the trip history query from request filters
+function buildTripHistoryFilters(query) {
+    const { startDate, endDate, purpose, startArea, endArea, minDistance, maxDistance, distanceSource } = query;
+    const filters = {};
+    
+    if (startDate && !moment(startDate, 'YYYY-MM-DD', true).isValid()) {
+        return { error: 'Start date must be in YYYY-MM-DD format' };
+    }
+    if (endDate && !moment(endDate, 'YYYY-MM-DD', true).isValid()) {
+        return { error: 'End date must be in YYYY-MM-DD format' };
+    }
+    if (startDate || endDate) {
+        filters.startDate = {};
+        if (startDate) filters.startDate.$gte = startDate;
+        if (endDate) filters.startDate.$lte = endDate;
+    }
+    
+    // Text filters match anywhere in the field, ignoring case
+    if (purpose) filters.purpose = { $regex: escapeRegex(purpose), $options: 'i' };
+    if (startArea) filters.startArea = { $regex: escapeRegex(startArea), $options: 'i' };
+    if (endArea) filters.endArea = { $regex: escapeRegex(endArea), $options: 'i' };
+    
+    const min = minDistance !== undefined ? parseFloat(minDistance) : null;
+    const max = maxDistance !== undefined ? parseFloat(maxDistance) : null;
+    if ((min !== null && isNaN(min)) || (max !== null && isNaN(max))) {
+        return { error: 'Distance filters must be numbers' };
+    }
+    if (min !== null || max !== null) {
+        filters.totalDistance = {};
+        if (min !== null) filters.totalDistance.$gte = min;
+        if (max !== null) filters.totalDistance.$lte = max;
+    }
+    
+    if (distanceSource) {
+        filters.distanceSource = distanceSource;
+    }
+    
+    return { filters };
+}
+
+// Helper function to fetch one page of trips matching the history filters, sort and cursor in params
+// Filters: startDate, endDate, purpose, startArea, endArea, minDistance, maxDistance, distanceSource
+// Paging: sort (date|distance), order (asc|desc), limit, cursor (nextCursor from the previous page)
+async function findTripPage(baseQuery, params) {
+    const sort = params.sort || 'date';
+    const order = params.order || 'desc';
+    
+    if (!TRIP_SORT_FIELDS[sort]) {
+        return { error: `Sort must be one of: ${Object.keys(TRIP_SORT_FIELDS).join(', ')}` };
+    }
+    
+    if (order !== 'asc' && order !== 'desc') {
+        return { error: 'Order must be asc or desc' };
+    }
+    
+    const limit = params.limit !== undefined ? parseInt(params.limit) : TRIPS_PAGE_DEFAULT;
+    if (isNaN(limit) || limit < 1 || limit > TRIPS_PAGE_MAX) {
+        return { error: `Limit must be between 1 and ${TRIPS_PAGE_MAX}` };
+    }
+    
+    const { filters, error } = buildTripHistoryFilters(params);
+    if (error) {
+        return { error };
+    }
+    
+    const query = { ...baseQuery, ...filters };
+    
+    // The _id tie-breaker keeps the order stable between trips with the same sort value
+    const field = TRIP_SORT_FIELDS[sort];
+    const direction = order === 'asc' ? 1 : -1;
+    const comparison = direction === 1 ? '$gt' : '$lt';
+    
+    if (params.cursor) {
+        const cursor = decodeTripCursor(params.cursor, sort);
+        if (!cursor) {
+            return { error: 'Invalid cursor' };
+        }
+        query.$or = [
+            { [field]: { [comparison]: cursor.value } },
+            { [field]: cursor.value, _id: { [comparison]: cursor.id } }
+        ];
+    }
+    
+    // One extra trip tells us whether there is another page
+    const trips = await Trip.find(query).sort({ [field]: direction, _id: direction }).limit(limit + 1);
+    const hasMore = trips.length > limit;
+    const page = hasMore ? trips.slice(0, limit) : trips;
+    
+    return {
+        trips: page,
+        hasMore,
+        nextCursor: hasMore ? encodeTripCursor(sort, page[page.length - 1]) : null
+    };
+}
+
+// Get trip history, a page at a time (see findTripPage for the filters), optionally for one vehicle
+app.get('/api/trips', authenticateToken, async (req, res) => {
+    try {
+        // Detected trips awaiting confirmation are listed separately
+        const query = { userId: req.userId, draft: { $ne: true } };
+        
+        // Optionally limit history to a single vehicle
+        if (req.query.vehicleId) {
+            const vehicle = await getUserVehicle(req.userId, req.query.vehicleId);
+            if (!vehicle) {
+                return res.status(404).json({ error: 'Vehicle not found' });
+            }
+            query.vehicleId = vehicle._id;
+        }
+        
+        const page = await findTripPage(query, req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+        
+        res.json(page);
+    } catch (error) {
+        console.error('Error fetching trips:', error);
+        res.status(500).json({ error: 'Failed to fetch trips' });
+    }
+});
+
+// Get detected trips waiting to be confirmed
+app.get('/api/trips/drafts', authenticateToken, async (req, res) => {
+    try {
+        const drafts = await Trip.find({ userId: req.userId, draft: true }).sort({ startTime: -1 });
+        res.json({ drafts });
+    } catch (error) {
+        console.error('Error fetching draft trips:', error);
+        res.status(500).json({ error: 'Failed to fetch draft trips' });
+    }
+});
+
+// Helper function to apply purpose, classification and vehicle edits to a draft trip
+async function applyDraftEdits(draft, userId, { purpose, classification, vehicleId }) {
+    if (purpose !== undefined) {
+        if (typeof purpose !== 'string' || !purpose.trim()) {
+            return { error: 'Purpose of trip is required' };
+        }
+        draft.purpose = purpose.trim();
+    }
+    
+    if (classification !== undefined) {
+        if (!TRIP_CLASSIFICATIONS.includes(classification)) {
+            return { error: `Trip classification must be one of: ${TRIP_CLASSIFICATIONS.join(', ')}` };
+        }
+        draft.classification = classification;
+    }
+    
+    let vehicle = draft.vehicleId ? await getUserVehicle(userId, draft.vehicleId) : null;
+    if (vehicleId !== undefined) {
+        vehicle = vehicleId ? await getUserVehicle(userId, vehicleId) : null;
+        if (vehicleId && !vehicle) {
+            return { error: 'Vehicle not found', status: 404 };
+        }
+        draft.vehicleId = vehicle ? vehicle._id : null;
+    }
+    
+    return { vehicle };
+}
+
+// Edit a detected trip before confirming it
+app.put('/api/trip/draft/:tripId', authenticateToken, async (req, res) => {
+    try {
+        const draft = await Trip.findOne({ id: parseInt(req.params.tripId), userId: req.userId, draft: true });
+        if (!draft) {
+            return res.status(404).json({ error: 'Draft trip not found' });
+        }
+        
+        const result = await applyDraftEdits(draft, req.userId, req.body || {});
+        if (result.error) {
+            return res.status(result.status || 400).json({ error: result.error });
+        }
+        
+        await draft.save();
+        res.json({ success: true, trip: draft });
+    } catch (error) {
+        console.error('Error updating draft trip:', error);
+        res.status(500).json({ error: 'Failed to update draft trip' });
+    }
+});
+
+// Confirm a detected trip, moving it into the logbook. Only the latest trip advances the odometer;
+// an older draft slots in after the trip before it
+app.post('/api/trip/draft/:tripId/confirm', authenticateToken, async (req, res) => {
+    try {
+        const { startOdometer: requestedStartOdometer, endOdometer } = req.body || {};
+        
+        const draft = await Trip.findOne({ id: parseInt(req.params.tripId), userId: req.userId, draft: true });
+        if (!draft) {
+            return res.status(404).json({ error: 'Draft trip not found' });
+        }
+        
+        const userData = await getUserData(req.userId);
+        
+        // The active trip already started from the current odometer reading
+        if (userData.activeTrip) {
+            return res.status(400).json({ error: 'Please end current trip before confirming detected trips' });
+        }
+        
+        const result = await applyDraftEdits(draft, req.userId, req.body || {});
+        if (result.error) {
+            return res.status(result.status || 400).json({ error: result.error });
+        }
+        
+        if (!draft.purpose || draft.purpose === 'Not specified') {
+            return res.status(400).json({ error: 'Purpose of trip is required' });
+        }
+        
+        const { vehicle } = result;
+        
+        if (requestedStartOdometer !== undefined && requestedStartOdometer !== null &&
+            (typeof requestedStartOdometer !== 'number' || requestedStartOdometer < 0)) {
+            return res.status(400).json({ error: 'Starting odometer must be a positive number' });
+        }
+        
+        // The odometer has to keep chaining with the logged trips either side of this one
+        const vehicleQuery = { userId: req.userId, vehicleId: vehicle ? vehicle._id : null, active: false, draft: { $ne: true }, _id: { $ne: draft._id } };
+        const previousTrip = await Trip.findOne({ ...vehicleQuery, startTime: { $lt: draft.startTime } }).sort({ startTime: -1 });
+        const nextTrip = await Trip.findOne({ ...vehicleQuery, startTime: { $gt: draft.startTime } }).sort({ startTime: 1 });
+        const previousEndOdometer = previousTrip && typeof previousTrip.endOdometer === 'number' ? previousTrip.endOdometer : null;
+        
+        let startOdometer = typeof requestedStartOdometer === 'number' ? requestedStartOdometer : null;
+        if (startOdometer === null) {
+            if (!nextTrip) {
+                startOdometer = vehicle ? vehicle.currentOdometer : userData.currentOdometer;
+            } else if (previousEndOdometer !== null) {
+                startOdometer = previousEndOdometer;
+            } else {
+                return res.status(400).json({ error: 'This trip is older than every trip in the log, so its starting odometer is required' });
+            }
+        }
+        
+        if (endOdometer !== undefined && endOdometer !== null) {
+            if (typeof endOdometer !== 'number' || endOdometer < startOdometer) {
+                return res.status(400).json({ error: 'Finishing odometer cannot be lower than the starting odometer' });
+            }
+            draft.totalDistance = roundDistance(endOdometer - startOdometer);
+            draft.distanceSource = 'odometer reading';
+        }
+        const finishOdometer = roundDistance(startOdometer + draft.totalDistance);
+        
+        if (previousEndOdometer !== null && startOdometer < previousEndOdometer) {
+            return res.status(400).json({ error: `Starting odometer cannot be lower than the previous trip's finishing odometer (${previousEndOdometer} km on ${previousTrip.startDate})` });
+        }
+        
+        if (nextTrip && finishOdometer > nextTrip.startOdometer) {
+            return res.status(400).json({ error: `Finishing odometer cannot be higher than the next trip's starting odometer (${nextTrip.startOdometer} km on ${nextTrip.startDate})` });
+        }
+        
+        draft.startOdometer = startOdometer;
+        draft.endOdometer = finishOdometer;
+        draft.organisationId = vehicle ? vehicle.organisationId : null;
+        draft.draft = false;
+        await draft.save();
+        
+        if (!nextTrip) {
+            const odometerOwner = vehicle || userData;
+            odometerOwner.currentOdometer = draft.endOdometer;
+            await odometerOwner.save();
+        }
+        queueReminderCheck(req.userId);
+        
+        res.json({
+            success: true,
+            trip: draft,
+            message: `Trip confirmed! Distance: ${draft.totalDistance}km (${draft.distanceSource}). ` +
+                (nextTrip ? `Odometer: ${Math.round(draft.startOdometer)} to ${Math.round(draft.endOdometer)}km` : `Current odometer: ${Math.round(draft.endOdometer)}km`)
+        });
+    } catch (error) {
+        console.error('Error confirming draft trip:', error);
+        res.status(500).json({ error: 'Failed to confirm draft trip' });
+    }
+});
+
+// Discard a detected trip that wasn't a real drive
+app.delete('/api/trip/draft/:tripId', authenticateToken, async (req, res) => {
+    try {
+        const draft = await Trip.findOneAndDelete({ id: parseInt(req.params.tripId), userId: req.userId, draft: true });
+        if (!draft) {
+            return res.status(404).json({ error: 'Draft trip not found' });
+        }
+        
+        await RoutePoint.deleteMany({ userId: req.userId, tripId: draft.id });
+        await removeTripReceipts(draft);
+        
+        res.json({ success: true, message: 'Draft trip discarded' });
+    } catch (error) {
+        console.error('Error discarding draft trip:', error);
+        res.status(500).json({ error: 'Failed to discard draft trip' });
+    }
+});
+
+// Delete a trip
+app.delete('/api/trip/:tripId', authenticateToken, async (req, res) => {
+    try {
+        const { tripId } = req.params;
+        
+        if (!tripId) {
+            return res.status(400).json({ error: 'Trip ID is required' });
+        }
+        
+        const trip = await Trip.findOne({ 
+            id: parseInt(tripId), 
+            userId: req.userId 
+        });
+        
+        if (!trip) {
+            return res.status(404).json({ error: 'Trip not found' });
+        }
+        
+        // Approved trips are part of the organisation's records
+        if (trip.approvalStatus === 'approved') {
+            return res.status(403).json({ error: 'Approved trips cannot be deleted' });
+        }
+        
+        await trip.deleteOne();
+        
+        await RoutePoint.deleteMany({ userId: req.userId, tripId: trip.id });
+        await removeTripReceipts(trip);
+        
+        res.json({ success: true, message: 'Trip deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting trip:', error);
+        res.status(500).json({ error: 'Failed to delete trip' });
+    }
+});
+
+// Receipt storage configuration
+// RECEIPT_STORE picks one of the receiptStores below; local disk is the default
+const RECEIPT_MAX_BYTES = parseInt(process.env.RECEIPT_MAX_BYTES) || 10 * 1024 * 1024;
+const RECEIPT_CONTENT_TYPES = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'image/heic': '.heic',
+    'application/pdf': '.pdf'
+};
+
+// Receipt stores. Each saves, reads and removes a receipt by key.
+const receiptStores = {
+    local: {
+        directory: path.resolve(process.env.RECEIPT_STORAGE_DIR || path.join(__dirname, 'uploads', 'receipts')),
+        resolve(key) {
+            // Keys are generated by us, but never let one escape the storage directory
+            const file = path.resolve(this.directory, key);
+            if (!file.startsWith(this.directory + path.sep)) {
+                throw new Error(`Invalid receipt key: ${key}`);
+            }
+            return file;
+        },
+        async save(key, buffer) {
+            const file = this.resolve(key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, buffer);
+        },
+        async read(key) {
+            return fs.promises.readFile(this.resolve(key));
+        },
+        async remove(key) {
+            await fs.promises.rm(this.resolve(key), { force: true });
+        }
+    }
+};
+
+// Helper function to build a Content-Disposition header for any filename. Header values must be
+// plain ASCII, so the filename= fallback replaces everything else and filename* carries the real name
+function buildContentDisposition(type, filename) {
+    const name = String(filename || 'download').replace(/[\x00-\x1f\x7f]/g, '');
+    const asciiName = name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    const encodedName = encodeURIComponent(name).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `${type}; filename="${asciiName}"; filename*=UTF-8''${encodedName}`;
+}
+
+// Helper function to get the configured receipt store
+function getReceiptStore() {
+    const name = process.env.RECEIPT_STORE || 'local';
+    const store = receiptStores[name];
+    if (!store) {
+        throw new Error(`Unknown receipt store: ${name}`);
+    }
+    return store;
+}
+
+// Helper function to remove the stored receipts for a trip's expenses
+async function removeTripReceipts(trip) {
+    const keys = (trip.expenses || []).map(expense => expense.receipt && expense.receipt.key).filter(Boolean);
+    for (const key of keys) {
+        try {
+            await getReceiptStore().remove(key);
+        } catch (error) {
+            console.error('Error removing receipt:', key, error.message);
+        }
+    }
+}
+
+const EXPENSE_CATEGORIES = Trip.schema.path('expenses').schema.path('category').enumValues;
+
+// Helper function to validate expense fields from a request body
+function validateExpenseInput(body, existing) {
+    const { category, amount, currency, gst, note } = body;
+    
+    if (!existing || category !== undefined) {
+        if (!EXPENSE_CATEGORIES.includes(category)) {
+            return `Expense category must be one of: ${EXPENSE_CATEGORIES.join(', ')}`;
+        }
+    }
+    
+    if (!existing || amount !== undefined) {
+        if (typeof amount !== 'number' || !(amount > 0)) {
+            return 'Expense amount must be greater than zero';
+        }
+    }
+    
+    if (currency !== undefined && (typeof currency !== 'string' || !/^[A-Za-z]{3}$/.test(currency))) {
+        return 'Currency must be a three letter code';
+    }
+    
+    if (gst !== undefined) {
+        const total = amount !== undefined ? amount : existing.amount;
+        if (typeof gst !== 'number' || gst < 0 || gst > total) {
+            return 'GST must be between zero and the expense amount';
+        }
+    }
+    
+    if (note !== undefined && typeof note !== 'string') {
+        return 'Note must be text';
+    }
+    
+    return null;
+}
+
+// Add an expense to a trip
+app.post('/api/trip/:tripId/expenses', authenticateToken, async (req, res) => {
+    try {
+        const trip = await Trip.findOne({ id: parseInt(req.params.tripId), userId: req.userId });
+        if (!trip) {
+            return res.status(404).json({ error: 'Trip not found' });
+        }
+        
+        const validationError = validateExpenseInput(req.body, null);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { category, amount, currency, gst, note } = req.body;
+        trip.expenses.push({
+            category,
+            amount,
+            currency: currency || 'AUD',
+            gst: gst || 0,
+            note: note || ''
+        });
+        resubmitChangedTrip(trip, req.userId, 'Expense added after submission');
+        await trip.save();
+        
+        res.json({ success: true, expense: trip.expenses[trip.expenses.length - 1] });
+    } catch (error) {
+        console.error('Error adding expense:', error);
+        res.status(500).json({ error: 'Failed to add expense' });
+    }
+});
+
+// Update an expense on a trip
+app.put('/api/trip/:tripId/expenses/:expenseId', authenticateToken, async (req, res) => {
+    try {
+        const trip = await Trip.findOne({ id: parseInt(req.params.tripId), userId: req.userId });
+        const expense = trip && mongoose.Types.ObjectId.isValid(req.params.expenseId) ? trip.expenses.id(req.params.expenseId) : null;
+        if (!expense) {
+            return res.status(404).json({ error: 'Expense not found' });
+        }
+        
+        const validationError = validateExpenseInput(req.body, expense);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        ['category', 'amount', 'currency', 'gst', 'note'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                expense[field] = req.body[field];
+            }
+        });
+        
+        if (expense.gst > expense.amount) {
+            return res.status(400).json({ error: 'GST must be between zero and the expense amount' });
+        }
+        
+        if (trip.isModified()) {
+            resubmitChangedTrip(trip, req.userId, 'Expense edited after submission');
+        }
+        await trip.save();
+        res.json({ success: true, expense });
+    } catch (error) {
+        console.error('Error updating expense:', error);
+        res.status(500).json({ error: 'Failed to update expense' });
+    }
+});
+
+// Delete an expense and its receipt
+app.delete('/api/trip/:tripId/expenses/:expenseId', authenticateToken, async (req, res) => {
+    try {
+        const trip = await Trip.findOne({ id: parseInt(req.params.tripId), userId: req.userId });
+        const expense = trip && mongoose.Types.ObjectId.isValid(req.params.expenseId) ? trip.expenses.id(req.params.expenseId) : null;
+        if (!expense) {
+            return res.status(404).json({ error: 'Expense not found' });
+        }
+        
+        const receiptKey = expense.receipt && expense.receipt.key;
+        expense.deleteOne();
+        resubmitChangedTrip(trip, req.userId, 'Expense deleted after submission');
+        await trip.save();
+        
+        if (receiptKey) {
+            await getReceiptStore().remove(receiptKey);
+        }
+        
+        res.json({ success: true, message: 'Expense deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting expense:', error);
+        res.status(500).json({ error: 'Failed to delete expense' });
+    }
+});
+
+// Upload the receipt image for an expense (raw image or PDF body, replacing any earlier receipt)
+app.put('/api/trip/:tripId/expenses/:expenseId/receipt', authenticateToken, bodyParser.raw({ type: () => true, limit: RECEIPT_MAX_BYTES }), async (req, res) => {
+    try {
+        const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (!RECEIPT_CONTENT_TYPES[contentType]) {
+            return res.status(400).json({ error: `Receipts must be one of: ${Object.keys(RECEIPT_CONTENT_TYPES).join(', ')}` });
+        }
+        
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Receipt file is required' });
+        }
+        
+        if (req.query.filename !== undefined && (typeof req.query.filename !== 'string' || /[\x00-\x1f\x7f]/.test(req.query.filename))) {
+            return res.status(400).json({ error: 'Receipt filename cannot contain line breaks or control characters' });
+        }
+        
+        const trip = await Trip.findOne({ id: parseInt(req.params.tripId), userId: req.userId });
+        const expense = trip && mongoose.Types.ObjectId.isValid(req.params.expenseId) ? trip.expenses.id(req.params.expenseId) : null;
+        if (!expense) {
+            return res.status(404).json({ error: 'Expense not found' });
+        }
+        
+        const store = getReceiptStore();
+        const previousKey = expense.receipt && expense.receipt.key;
+        const userFolder = crypto.createHash('sha256').update(req.userId).digest('hex').slice(0, 16);
+        const key = `${userFolder}/${trip.id}-${expense._id}-${Date.now()}${RECEIPT_CONTENT_TYPES[contentType]}`;
+        await store.save(key, req.body, contentType);
+        
+        expense.receipt = {
+            key,
+            filename: req.query.filename ? path.basename(req.query.filename).slice(0, 200) : path.basename(key),
+            contentType,
+            size: req.body.length,
+            uploadedAt: new Date()
+        };
+        resubmitChangedTrip(trip, req.userId, 'Receipt uploaded after submission');
+        await trip.save();
+        
+        if (previousKey && previousKey !== key) {
+            await store.remove(previousKey);
+        }
+        
+        res.json({ success: true, expense });
+    } catch (error) {
+        console.error('Error uploading receipt:', error);
+        res.status(500).json({ error: 'Failed to upload receipt' });
+    }
+});
+
+// Download the receipt for an expense
+app.get('/api/trip/:tripId/expenses/:expenseId/receipt', authenticateToken, async (req, res) => {
+    try {
+        const trip = await Trip.findOne({ id: parseInt(req.params.tripId), userId: req.userId });
+        const expense = trip && mongoose.Types.ObjectId.isValid(req.params.expenseId) ? trip.expenses.id(req.params.expenseId) : null;
+        if (!expense || !expense.receipt || !expense.receipt.key) {
+            return res.status(404).json({ error: 'Receipt not found' });
+        }
+        
+        const content = await getReceiptStore().read(expense.receipt.key);
+        
+        res.setHeader('Content-Type', expense.receipt.contentType);
+        res.setHeader('Content-Disposition', buildContentDisposition('inline', expense.receipt.filename));
+        res.setHeader('Content-Length', content.length);
+        res.send(content);
+    } catch (error) {
+        console.error('Error fetching receipt:', error);
+        res.status(500).json({ error: 'Failed to fetch receipt' });
+    }
+});
+
+// Fields of a completed trip that can be corrected after the fact
+const EDITABLE_TRIP_FIELDS = ['purpose', 'classification', 'startDate', 'endDate', 'startArea', 'endArea', 'startOdometer', 'endOdometer'];
+
+// Helper function to validate and normalise requested trip edits
+function normaliseTripEdits(updates) {
+    const unknownFields = Object.keys(updates).filter(field => !EDITABLE_TRIP_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+        return { error: `These fields cannot be edited: ${unknownFields.join(', ')}` };
+    }
+    
+    const edits = {};
+    for (const [field, value] of Object.entries(updates)) {
+        if (field === 'purpose') {
+            if (typeof value !== 'string' || !value.trim()) {
+                return { error: 'Purpose of trip is required' };
+            }
+            edits.purpose = value.trim();
+        } else if (field === 'classification') {
+            if (!TRIP_CLASSIFICATIONS.includes(value)) {
+                return { error: `Trip classification must be one of: ${TRIP_CLASSIFICATIONS.join(', ')}` };
+            }
+            edits.classification = value;
+        } else if (field === 'startDate' || field === 'endDate') {
+            if (!moment(value, 'YYYY-MM-DD', true).isValid()) {
+                return { error: `${field} must be a valid date (YYYY-MM-DD)` };
+            }
+            edits[field] = value;
+        } else if (field === 'startArea' || field === 'endArea') {
+            if (typeof value !== 'string') {
+                return { error: `${field} must be text` };
+            }
+            edits[field] = value.trim() || 'Unknown Area';
+        } else {
+            if (value === null || value === '' || isNaN(value) || parseFloat(value) < 0) {
+                return { error: `${field} must be a valid odometer reading` };
+            }
+            edits[field] = parseFloat(value);
+        }
+    }
+    
+    return { edits };
+}
+
+// Helper function to apply edits to a completed trip and record them as an immutable revision
+async function reviseTrip(trip, updates, { editedBy, reason }) {
+    const { edits, error } = normaliseTripEdits(updates);
+    if (error) {
+        return { error };
+    }
+    
+    const revised = { ...trip.toObject(), ...edits };
+    
+    if (revised.endDate && revised.endDate < revised.startDate) {
+        return { error: 'End date must be on or after the start date' };
+    }
+    
+    const odometerChanged = edits.startOdometer !== undefined || edits.endOdometer !== undefined;
+    const vehicleQuery = { userId: trip.userId, vehicleId: trip.vehicleId || null, active: false, draft: { $ne: true }, _id: { $ne: trip._id } };
+    let nextTrip = null;
+    
+    if (odometerChanged) {
+        if (revised.endOdometer < revised.startOdometer) {
+            return { error: 'Finishing odometer cannot be lower than the starting odometer' };
+        }
+        
+        // The odometer has to keep chaining with the trips either side of this one
+        const previousTrip = await Trip.findOne({ ...vehicleQuery, startTime: { $lt: trip.startTime } }).sort({ startTime: -1 });
+        nextTrip = await Trip.findOne({ ...vehicleQuery, startTime: { $gt: trip.startTime } }).sort({ startTime: 1 });
+        
+        if (previousTrip && typeof previousTrip.endOdometer === 'number' && revised.startOdometer < previousTrip.endOdometer) {
+            return { error: `Starting odometer cannot be lower than the previous trip's finishing odometer (${previousTrip.endOdometer} km on ${previousTrip.startDate})` };
+        }
+        
+        if (nextTrip && revised.endOdometer > nextTrip.startOdometer) {
+            return { error: `Finishing odometer cannot be higher than the next trip's starting odometer (${nextTrip.startOdometer} km on ${nextTrip.startDate})` };
+        }
+        
+        edits.totalDistance = roundDistance(revised.endOdometer - revised.startOdometer);
+        edits.distanceSource = 'odometer reading';
+    }
+    
+    const changes = Object.entries(edits)
+        .filter(([field, value]) => trip[field] !== value)
+        .map(([field, value]) => ({ field, oldValue: trip[field] === undefined ? null : trip[field], newValue: value }));
+    
+    if (changes.length === 0) {
+        return { trip, revision: null };
+    }
+    
+    // Record the revision first so no alteration can be saved without its audit entry
+    const revision = new TripRevision({
+        userId: trip.userId,
+        tripId: trip.id,
+        editedBy,
+        reason: typeof reason === 'string' ? reason.trim() : '',
+        changes
+    });
+    await revision.save();
+    
+    const previousEndOdometer = trip.endOdometer;
+    changes.forEach(({ field, newValue }) => {
+        trip[field] = newValue;
+    });
+    
+    resubmitChangedTrip(trip, editedBy, 'Trip edited after submission');
+    await trip.save();
+    
+    // Correcting the latest trip's finishing odometer also corrects the current reading
+    if (odometerChanged && !nextTrip) {
+        const vehicle = trip.vehicleId ? await getUserVehicle(trip.userId, trip.vehicleId) : null;
+        const odometerOwner = vehicle || await getUserData(trip.userId);
+        if (odometerOwner.currentOdometer === previousEndOdometer) {
+            odometerOwner.currentOdometer = trip.endOdometer;
+            await odometerOwner.save();
+        }
+    }
+    
+    console.log(`Trip ${trip.id} revised by ${editedBy}:`, changes.map(change => change.field).join(', '));
+    return { trip, revision };
+}
+
+// Helper function to describe a revision in a single line for exports
+function describeTripRevision(revision) {
+    const changes = revision.changes
+        .map(change => `${change.field} changed from "${change.oldValue ?? ''}" to "${change.newValue ?? ''}"`)
+        .join(', ');
+    const reason = revision.reason ? ` (reason: ${revision.reason})` : '';
+    return `${moment(revision.editedAt).format('YYYY-MM-DD HH:mm')} by ${revision.editedBy}: ${changes}${reason}`;
+}
+
+// Edit a completed trip
+app.patch('/api/trip/:tripId', authenticateToken, async (req, res) => {
+    try {
+        const { reason, ...updates } = req.body || {};
+        
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No changes provided' });
+        }
+        
+        // Drafts are edited through the draft endpoints until they are confirmed
+        const trip = await Trip.findOne({ id: parseInt(req.params.tripId), userId: req.userId, draft: { $ne: true } });
+        if (!trip) {
+            return res.status(404).json({ error: 'Trip not found' });
+        }
+        
+        const result = await reviseTrip(trip, updates, { editedBy: req.userId, reason });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        
+        res.json({ success: true, trip: result.trip, revision: result.revision });
+    } catch (error) {
+        console.error('Error editing trip:', error);
+        res.status(500).json({ error: 'Failed to edit trip' });
+    }
+});
+
+// Get the alteration history of a trip
+app.get('/api/trip/:tripId/revisions', authenticateToken, async (req, res) => {
+    try {
+        const tripId = parseInt(req.params.tripId);
+        const revisions = await TripRevision.find({ userId: req.userId, tripId }).sort({ editedAt: 1 });
+        
+        if (revisions.length === 0 && !(await Trip.exists({ id: tripId, userId: req.userId }))) {
+            return res.status(404).json({ error: 'Trip not found' });
+        }
+        
+        res.json({ revisions });
+    } catch (error) {
+        console.error('Error fetching trip revisions:', error);
+        res.status(500).json({ error: 'Failed to fetch trip revisions' });
+    }
+});
+
+// Change the classification of a completed trip
+app.put('/api/trip/:tripId/classification', authenticateToken, async (req, res) => {
+    try {
+        const { classification, reason } = req.body;
+        
+        if (!TRIP_CLASSIFICATIONS.includes(classification)) {
+            return res.status(400).json({ error: `Trip classification must be one of: ${TRIP_CLASSIFICATIONS.join(', ')}` });
+        }
+        
+        // Drafts are edited through the draft endpoints until they are confirmed
+        const trip = await Trip.findOne({ id: parseInt(req.params.tripId), userId: req.userId, draft: { $ne: true } });
+        if (!trip) {
+            return res.status(404).json({ error: 'Trip not found' });
+        }
+        
+        const result = await reviseTrip(trip, { classification }, { editedBy: req.userId, reason });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        
+        res.json({ success: true, trip: result.trip });
+    } catch (error) {
+        console.error('Error updating trip classification:', error);
+        res.status(500).json({ error: 'Failed to update trip classification' });
+    }
+});
+
+// The ATO logbook method requires a continuous period of at least 12 weeks
+const LOGBOOK_PERIOD_WEEKS = 12;
+
+// Helper function to summarise a logbook period for the ATO logbook method
+function buildLogbookReport(trips) {
+    const kilometres = { business: 0, private: 0, commute: 0 };
+    const odometerGaps = [];
+    
+    trips.forEach((trip, index) => {
+        const classification = trip.classification || 'business';
+        kilometres[classification] += trip.totalDistance || 0;
+        
+        // Each trip should start where the previous one finished
+        const previousTrip = trips[index - 1];
+        if (previousTrip && typeof previousTrip.endOdometer === 'number' &&
+            previousTrip.endOdometer !== trip.startOdometer) {
+            odometerGaps.push({
+                previousTripId: previousTrip.id,
+                tripId: trip.id,
+                previousEndDate: previousTrip.endDate || previousTrip.startDate,
+                startDate: trip.startDate,
+                previousEndOdometer: previousTrip.endOdometer,
+                startOdometer: trip.startOdometer,
+                unloggedKm: Math.round((trip.startOdometer - previousTrip.endOdometer) * 100) / 100
+            });
+        }
+    });
+    
+    const firstTrip = trips[0];
+    const lastTrip = trips[trips.length - 1];
+    const openingOdometer = firstTrip ? firstTrip.startOdometer : null;
+    const closingOdometer = lastTrip ? (lastTrip.endOdometer ?? lastTrip.startOdometer) : null;
+    const loggedKm = kilometres.business + kilometres.private + kilometres.commute;
+    
+    // Total km comes from the odometer so unlogged private use still counts against business use
+    const odometerKm = firstTrip ? closingOdometer - openingOdometer : 0;
+    const totalKm = odometerKm > 0 ? odometerKm : loggedKm;
+    const businessUsePercentage = totalKm > 0
+        ? Math.round((kilometres.business / totalKm) * 10000) / 100
+        : 0;
+    
+    return {
+        tripCount: trips.length,
+        openingOdometer,
+        closingOdometer,
+        totalKm,
+        loggedKm,
+        businessKm: kilometres.business,
+        privateKm: kilometres.private,
+        commuteKm: kilometres.commute,
+        businessUsePercentage,
+        odometerGaps
+    };
+}
+
+// ATO logbook report for a 12 week period
+app.get('/api/reports/logbook', authenticateToken, async (req, res) => {
+    try {
+        const { startDate, vehicleId } = req.query;
+        
+        if (!startDate || !moment(startDate, 'YYYY-MM-DD', true).isValid()) {
+            return res.status(400).json({ error: 'Valid start date is required (YYYY-MM-DD)' });
+        }
+        
+        const periodStart = moment(startDate, 'YYYY-MM-DD');
+        const periodEnd = periodStart.clone().add(LOGBOOK_PERIOD_WEEKS, 'weeks').subtract(1, 'day');
+        const endDate = periodEnd.format('YYYY-MM-DD');
+        
+        // Odometers only chain within a single vehicle, so trips without a vehicle form their own log
+        let vehicle = null;
+        if (vehicleId) {
+            vehicle = await getUserVehicle(req.userId, vehicleId);
+            if (!vehicle) {
+                return res.status(404).json({ error: 'Vehicle not found' });
+            }
+        }
+        
+        const trips = await Trip.find({
+            userId: req.userId,
+            vehicleId: vehicle ? vehicle._id : null,
+            active: false,
+            draft: { $ne: true },
+            startDate: { $gte: startDate, $lte: endDate }
+        }).sort({ startTime: 1 });
+        
+        const report = buildLogbookReport(trips);
+        
+        res.json({
+            period: {
+                startDate,
+                endDate,
+                weeks: LOGBOOK_PERIOD_WEEKS,
+                complete: moment().isAfter(periodEnd, 'day')
+            },
+            vehicle: vehicle ? { id: vehicle._id, registration: vehicle.registration } : null,
+            ...report
+        });
+    } catch (error) {
+        console.error('Error building logbook report:', error);
+        res.status(500).json({ error: 'Failed to build logbook report' });
+    }
+});
+
+// Number of area pairs returned as the most frequent routes
+const STATS_TOP_ROUTES = 10;
+// Number of area pairs in the by-area breakdown, busiest first, so it doesn't grow with every new destination
+const STATS_TOP_AREA_PAIRS = 50;
+
+// Helper function to build the $group stage shared by every trip statistics breakdown
+function buildStatsGroup(key) {
+    return {
+        $group: {
+            _id: key,
+            tripCount: { $sum: 1 },
+            totalDistance: { $sum: '$totalDistance' },
+            routeDistance: { $sum: '$routeDistance' },
+            routeHours: { $sum: '$routeHours' }
+        }
+    };
+}
+
+// Helper function to turn a grouped statistics bucket into the figures the dashboard shows
+function formatStatsBucket(bucket) {
+    return {
+        tripCount: bucket.tripCount,
+        totalDistance: Math.round(bucket.totalDistance * 100) / 100,
+        averageDistance: bucket.tripCount > 0 ? Math.round((bucket.totalDistance / bucket.tripCount) * 100) / 100 : 0,
+        // Only trips with a recorded route have a duration to measure speed against
+        averageSpeed: bucket.routeHours > 0 ? Math.round((bucket.routeDistance / bucket.routeHours) * 10) / 10 : null
+    };
+}
+
+// Helper function to aggregate a user's completed trips into dashboard statistics
+async function buildTripStats(match) {
+    const [facets] = await Trip.aggregate([
+        { $match: match },
+        {
+            $addFields: {
+                tripDate: {
+                    $dateFromString: { dateString: '$startDate', format: '%Y-%m-%d', onError: '$startTime', onNull: '$startTime' }
+                },
+                hasRoute: { $gte: [{ $size: { $ifNull: ['$routePoints', []] } }, 2] }
+            }
+        },
+        {
+            $addFields: {
+                // Time between the first and last route fix, less any time spent paused
+                routeHours: {
+                    $cond: ['$hasRoute', {
+                        $divide: [{
+                            $max: [0, {
+                                $subtract: [
+                                    { $subtract: [{ $arrayElemAt: ['$routePoints.timestamp', -1] }, { $arrayElemAt: ['$routePoints.timestamp', 0] }] },
+                                    { $multiply: [{ $ifNull: ['$pausedTime', 0] }, 1000] }
+                                ]
+                            }]
+                        }, 3600000]
+                    }, 0]
+                },
+                routeDistance: {
+                    $cond: ['$hasRoute', { $cond: [{ $gt: ['$cleanedRouteDistance', 0] }, '$cleanedRouteDistance', '$totalDistance'] }, 0]
+                },
+                // Australian financial years run July to June and are named by the year they end in
+                financialYear: {
+                    $add: [{ $year: '$tripDate' }, { $cond: [{ $gte: [{ $month: '$tripDate' }, 7] }, 1, 0] }]
+                }
+            }
+        },
+        {
+            $addFields: {
+                routeDistance: { $cond: [{ $gt: ['$routeHours', 0] }, '$routeDistance', 0] }
+            }
+        },
+        {
+            $facet: {
+                totals: [buildStatsGroup(null)],
+                byDay: [buildStatsGroup({ $dateToString: { date: '$tripDate', format: '%Y-%m-%d' } }), { $sort: { _id: 1 } }],
+                byWeek: [buildStatsGroup({ $dateToString: { date: '$tripDate', format: '%G-W%V' } }), { $sort: { _id: 1 } }],
+                byMonth: [buildStatsGroup({ $dateToString: { date: '$tripDate', format: '%Y-%m' } }), { $sort: { _id: 1 } }],
+                byFinancialYear: [buildStatsGroup('$financialYear'), { $sort: { _id: 1 } }],
+                byPurpose: [buildStatsGroup('$purpose'), { $sort: { totalDistance: -1 } }],
+                byVehicle: [buildStatsGroup('$vehicleId'), { $sort: { totalDistance: -1 } }],
+                byAreaPair: [buildStatsGroup({ from: '$startArea', to: '$endArea' }), { $sort: { tripCount: -1, totalDistance: -1 } }, { $limit: STATS_TOP_AREA_PAIRS }],
+                longestTrip: [
+                    { $sort: { totalDistance: -1, startTime: 1 } },
+                    { $limit: 1 },
+                    { $project: { _id: 0, id: 1, startDate: 1, purpose: 1, startArea: 1, endArea: 1, totalDistance: 1, vehicleId: 1 } }
+                ]
+            }
+        }
+    ]);
+    
+    const vehicleIds = facets.byVehicle.map(bucket => bucket._id).filter(Boolean);
+    const vehicles = vehicleIds.length > 0 ? await Vehicle.find({ _id: { $in: vehicleIds } }, { registration: 1 }).lean() : [];
+    const registrations = new Map(vehicles.map(vehicle => [String(vehicle._id), vehicle.registration]));
+    const byAreaPair = facets.byAreaPair.map(bucket => ({ from: bucket._id.from, to: bucket._id.to, ...formatStatsBucket(bucket) }));
+    
+    return {
+        totals: formatStatsBucket(facets.totals[0] || { tripCount: 0, totalDistance: 0, routeDistance: 0, routeHours: 0 }),
+        byDay: facets.byDay.map(bucket => ({ date: bucket._id, ...formatStatsBucket(bucket) })),
+        byWeek: facets.byWeek.map(bucket => ({ week: bucket._id, ...formatStatsBucket(bucket) })),
+        byMonth: facets.byMonth.map(bucket => ({ month: bucket._id, ...formatStatsBucket(bucket) })),
+        byFinancialYear: facets.byFinancialYear.map(bucket => ({
+            financialYear: `${bucket._id - 1}-${String(bucket._id).slice(-2)}`,
+            ...formatStatsBucket(bucket)
+        })),
+        byPurpose: facets.byPurpose.map(bucket => ({ purpose: bucket._id || 'Not specified', ...formatStatsBucket(bucket) })),
+        byVehicle: facets.byVehicle.map(bucket => ({
+            vehicleId: bucket._id,
+            registration: bucket._id ? registrations.get(String(bucket._id)) || null : null,
+            ...formatStatsBucket(bucket)
+        })),
+        byAreaPair,
+        longestTrip: facets.longestTrip[0] || null,
+        mostFrequentRoutes: byAreaPair.filter(pair => pair.tripCount > 1).slice(0, STATS_TOP_ROUTES)
+    };
+}
+
+// Trip statistics for the dashboard
+app.get('/api/reports/stats', authenticateToken, async (req, res) => {
+    try {
+        const { startDate, endDate, vehicleId } = req.query;
+        
+        if (startDate && !moment(startDate, 'YYYY-MM-DD', true).isValid()) {
+            return res.status(400).json({ error: 'Start date must be in YYYY-MM-DD format' });
+        }
+        
+        if (endDate && !moment(endDate, 'YYYY-MM-DD', true).isValid()) {
+            return res.status(400).json({ error: 'End date must be in YYYY-MM-DD format' });
+        }
+        
+        if (startDate && endDate && startDate > endDate) {
+            return res.status(400).json({ error: 'Start date must be before or equal to end date' });
+        }
+        
+        const match = { userId: req.userId, active: false, draft: { $ne: true } };
+        if (startDate || endDate) {
+            match.startDate = {};
+            if (startDate) match.startDate.$gte = startDate;
+            if (endDate) match.startDate.$lte = endDate;
+        }
+        
+        let vehicle = null;
+        if (vehicleId) {
+            vehicle = await getUserVehicle(req.userId, vehicleId);
+            if (!vehicle) {
+                return res.status(404).json({ error: 'Vehicle not found' });
+            }
+            match.vehicleId = vehicle._id;
+        }
+        
+        const stats = await buildTripStats(match);
+        
+        res.json({
+            period: { startDate: startDate || null, endDate: endDate || null },
+            vehicle: vehicle ? { id: vehicle._id, registration: vehicle.registration } : null,
+            ...stats
+        });
+    } catch (error) {
+        console.error('Error building trip statistics:', error);
+        res.status(500).json({ error: 'Failed to build trip statistics' });
+    }
+});
+
+// ATO cents per kilometre rates, keyed by the year each financial year ends in
+const ATO_CENTS_PER_KM_RATES = {
+    2023: 0.78,
+    2024: 0.85,
+    2025: 0.88,
+    2026: 0.88
+};
+// New financial years can be added without a release, e.g. ATO_CENTS_PER_KM_RATES=2027:0.90,2028:0.92
+(process.env.ATO_CENTS_PER_KM_RATES || '').split(',').forEach(entry => {
+    const match = entry.trim().match(/^(\d{4}):(\d+(?:\.\d+)?)$/);
+    if (match) {
+        ATO_CENTS_PER_KM_RATES[match[1]] = parseFloat(match[2]);
+    } else if (entry.trim()) {
+        console.warn(`Ignoring invalid ATO_CENTS_PER_KM_RATES entry: ${entry.trim()}`);
+    }
+});
+// The cents per kilometre method covers at most 5,000 business km per car each financial year
+const ATO_CENTS_PER_KM_CAP = 5000;
+const REIMBURSEMENT_METHODS = ReimbursementRate.schema.path('method').enumValues;
+// Trip expenses are only added to a claim when they were paid in this currency
+const REIMBURSEMENT_CURRENCY = (process.env.REIMBURSEMENT_CURRENCY || 'AUD').toUpperCase();
+
+// Helper function to find the financial year (named by the year it ends in) a YYYY-MM-DD date falls in
+function getFinancialYear(date) {
+    const day = moment(date, 'YYYY-MM-DD');
+    return day.month() >= 6 ? day.year() + 1 : day.year();
+}
+
+// Helper function to validate reimbursement rate fields from a request body
+function validateReimbursementRateInput(body, isUpdate) {
+    const { name, method, ratePerKm, tiers } = body;
+    
+    if (!isUpdate || name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) {
+            return 'Rate name is required';
+        }
+    }
+    
+    if (!isUpdate || method !== undefined) {
+        if (!REIMBURSEMENT_METHODS.includes(method)) {
+            return `Rate method must be one of: ${REIMBURSEMENT_METHODS.join(', ')}`;
+        }
+    }
+    
+    if (ratePerKm !== undefined && ratePerKm !== null && (typeof ratePerKm !== 'number' || ratePerKm < 0)) {
+        return 'Rate per km must be a positive number';
+    }
+    
+    if (method === 'flat' && (typeof ratePerKm !== 'number')) {
+        return 'Flat rates need a rate per km';
+    }
+    
+    if (tiers !== undefined) {
+        if (!Array.isArray(tiers)) {
+            return 'Tiers must be a list';
+        }
+        const invalidTier = tiers.find(tier => !tier || typeof tier.ratePerKm !== 'number' || tier.ratePerKm < 0 ||
+            (tier.upToKm !== undefined && tier.upToKm !== null && (typeof tier.upToKm !== 'number' || tier.upToKm <= 0)));
+        if (invalidTier) {
+            return 'Each tier needs a rate per km and an optional upper limit in km';
+        }
+        if (tiers.filter(tier => tier.upToKm === undefined || tier.upToKm === null).length > 1) {
+            return 'Only one tier can be open-ended';
+        }
+    }
+    
+    if (method === 'tiered' && (!Array.isArray(tiers) || tiers.length === 0)) {
+        return 'Tiered rates need at least one tier';
+    }
+    
+    return null;
+}
+
+// Helper function to load the rate a claim is calculated with, falling back to the ATO cents per km method
+async function getReimbursementRate(userId, rateId) {
+    if (rateId) {
+        if (!mongoose.Types.ObjectId.isValid(rateId)) {
+            return null;
+        }
+        return ReimbursementRate.findOne({ _id: rateId, userId });
+    }
+    
+    const defaultRate = await ReimbursementRate.findOne({ userId, isDefault: true });
+    return defaultRate || { name: 'ATO cents per km', method: 'ato', ratePerKm: null, tiers: [] };
+}
+
+// Helper function to format a financial year (named by the year it ends in) as e.g. 2025-26
+function formatFinancialYear(financialYear) {
+    return `${financialYear - 1}-${String(financialYear).slice(-2)}`;
+}
+
+// Helper function to find the ATO rate for a financial year. Years after the latest published rate
+// use that rate and say so, rather than refusing the claim until the table is updated
+function getAtoCentsPerKmRate(financialYear) {
+    if (ATO_CENTS_PER_KM_RATES[financialYear] !== undefined) {
+        return { ratePerKm: ATO_CENTS_PER_KM_RATES[financialYear] };
+    }
+    
+    const latestYear = Math.max(...Object.keys(ATO_CENTS_PER_KM_RATES).map(Number));
+    if (financialYear < latestYear) {
+        return { error: `No ATO cents per km rate is known for the ${formatFinancialYear(financialYear)} financial year` };
+    }
+    return {
+        ratePerKm: ATO_CENTS_PER_KM_RATES[latestYear],
+        warning: `No ATO cents per km rate is known for the ${formatFinancialYear(financialYear)} financial year yet, so the ${formatFinancialYear(latestYear)} rate was used`
+    };
+}
+
+// Helper function to price one trip's kilometres given the kilometres already claimed this financial year
+function priceTripKilometres(rate, distance, usedKm, financialYear) {
+    if (rate.method === 'flat') {
+        return { claimableKm: distance, amount: distance * rate.ratePerKm };
+    }
+    
+    if (rate.method === 'ato') {
+        const atoRate = typeof rate.ratePerKm === 'number' ? { ratePerKm: rate.ratePerKm } : getAtoCentsPerKmRate(financialYear);
+        if (atoRate.error) {
+            return { error: atoRate.error };
+        }
+        const claimableKm = Math.max(0, Math.min(distance, ATO_CENTS_PER_KM_CAP - usedKm));
+        return { claimableKm, amount: claimableKm * atoRate.ratePerKm, warning: atoRate.warning };
+    }
+    
+    // Tiered: split the trip across the tiers it spans
+    const tiers = [...rate.tiers].sort((a, b) => (a.upToKm ?? Infinity) - (b.upToKm ?? Infinity));
+    let claimableKm = 0;
+    let amount = 0;
+    let tierStart = 0;
+    for (const tier of tiers) {
+        const tierEnd = tier.upToKm ?? Infinity;
+        const portion = Math.max(0, Math.min(usedKm + distance, tierEnd) - Math.max(usedKm, tierStart));
+        claimableKm += portion;
+        amount += portion * tier.ratePerKm;
+        tierStart = tierEnd;
+    }
+    return { claimableKm, amount };
+}
+
+// Helper function to work out the reimbursement for business trips between two dates
+// Trips earlier in the same financial year are counted so caps and tiers carry over into the range
+async function buildReimbursementClaim(userId, { startDate, endDate, vehicle, rate }) {
+    const query = {
+        userId,
+        active: false,
+        draft: { $ne: true },
+        startDate: { $gte: `${getFinancialYear(startDate) - 1}-07-01`, $lte: endDate }
+    };
+    if (vehicle) {
+        query.vehicleId = vehicle._id;
+    }
+    const trips = await Trip.find(query).sort({ startTime: 1 });
+    
+    const usedKm = {};
+    const rows = [];
+    const warnings = new Set();
+    for (const trip of trips) {
+        const financialYear = getFinancialYear(trip.startDate);
+        // The ATO cap is per car; other rates accumulate across all of the user's trips
+        const usageKey = rate.method === 'ato' ? `${financialYear}:${trip.vehicleId || ''}` : String(financialYear);
+        const used = usedKm[usageKey] || 0;
+        const distance = (trip.classification || 'business') === 'business' ? trip.totalDistance || 0 : 0;
+        
+        const priced = distance > 0
+            ? priceTripKilometres(rate, distance, used, financialYear)
+            : { claimableKm: 0, amount: 0 };
+        if (priced.error) {
+            return { error: priced.error };
+        }
+        usedKm[usageKey] = used + priced.claimableKm;
+        
+        if (trip.startDate >= startDate) {
+            if (priced.warning) {
+                warnings.add(priced.warning);
+            }
+            
+            // Tolls, parking and fuel are reimbursed alongside business kilometres
+            const expenses = distance > 0 ? (trip.expenses || []) : [];
+            const claimableExpenses = expenses.filter(expense => expense.currency === REIMBURSEMENT_CURRENCY);
+            const expensesAmount = Math.round(claimableExpenses.reduce((sum, expense) => sum + expense.amount, 0) * 100) / 100;
+            const mileageAmount = Math.round(priced.amount * 100) / 100;
+            
+            rows.push({
+                tripId: trip.id,
+                startDate: trip.startDate,
+                purpose: trip.purpose,
+                classification: trip.classification || 'business',
+                vehicleId: trip.vehicleId,
+                distance: trip.totalDistance || 0,
+                claimableKm: Math.round(priced.claimableKm * 100) / 100,
+                mileageAmount,
+                expensesAmount,
+                excludedExpenses: expenses.length - claimableExpenses.length,
+                amount: Math.round((mileageAmount + expensesAmount) * 100) / 100
+            });
+        }
+    }
+    
+    const sum = (field) => Math.round(rows.reduce((total, row) => total + row[field], 0) * 100) / 100;
+    return {
+        currency: REIMBURSEMENT_CURRENCY,
+        trips: rows,
+        totalClaimableKm: sum('claimableKm'),
+        totalMileageAmount: sum('mileageAmount'),
+        totalExpensesAmount: sum('expensesAmount'),
+        excludedExpenses: rows.reduce((total, row) => total + row.excludedExpenses, 0),
+        totalAmount: sum('amount'),
+        warnings: [...warnings]
+    };
+}
+
+// Helper function to describe a rate in claim and export output
+function describeReimbursementRate(rate) {
+    return {
+        id: rate._id || null,
+        name: rate.name,
+        method: rate.method,
+        ratePerKm: rate.ratePerKm,
+        tiers: rate.tiers || []
+    };
+}
+
+// Reimbursement rate routes
+app.get('/api/reimbursement/rates', authenticateToken, async (req, res) => {
+    try {
+        const rates = await ReimbursementRate.find({ userId: req.userId }).sort({ name: 1 });
+        res.json({ rates, atoRates: ATO_CENTS_PER_KM_RATES, atoCapKm: ATO_CENTS_PER_KM_CAP });
+    } catch (error) {
+        console.error('Error fetching reimbursement rates:', error);
+        res.status(500).json({ error: 'Failed to fetch reimbursement rates' });
+    }
+});
+
+app.post('/api/reimbursement/rates', authenticateToken, async (req, res) => {
+    try {
+        const validationError = validateReimbursementRateInput(req.body, false);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { name, method, ratePerKm, tiers, isDefault } = req.body;
+        
+        if (await ReimbursementRate.exists({ userId: req.userId, name: name.trim() })) {
+            return res.status(400).json({ error: 'A rate with this name already exists' });
+        }
+        
+        // Only one rate can be the default
+        if (isDefault === true) {
+            await ReimbursementRate.updateMany({ userId: req.userId }, { isDefault: false });
+        }
+        
+        const rate = new ReimbursementRate({
+            userId: req.userId,
+            name: name.trim(),
+            method,
+            ratePerKm: typeof ratePerKm === 'number' ? ratePerKm : null,
+            tiers: method === 'tiered' ? tiers : [],
+            isDefault: isDefault === true
+        });
+        await rate.save();
+        
+        res.json({ success: true, rate });
+    } catch (error) {
+        console.error('Error creating reimbursement rate:', error);
+        res.status(500).json({ error: 'Failed to create reimbursement rate' });
+    }
+});
+
+app.put('/api/reimbursement/rates/:rateId', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.rateId)) {
+            return res.status(404).json({ error: 'Rate not found' });
+        }
+        
+        const rate = await ReimbursementRate.findOne({ _id: req.params.rateId, userId: req.userId });
+        if (!rate) {
+            return res.status(404).json({ error: 'Rate not found' });
+        }
+        
+        // Validate the rate as it will be after the update
+        const { name, method, ratePerKm, tiers, isDefault } = req.body;
+        const validationError = validateReimbursementRateInput({
+            name,
+            method: method !== undefined ? method : rate.method,
+            ratePerKm: ratePerKm !== undefined ? ratePerKm : rate.ratePerKm,
+            tiers: tiers !== undefined ? tiers : rate.tiers.map(tier => tier.toObject())
+        }, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        if (name !== undefined) {
+            if (await ReimbursementRate.exists({ userId: req.userId, name: name.trim(), _id: { $ne: rate._id } })) {
+                return res.status(400).json({ error: 'A rate with this name already exists' });
+            }
+            rate.name = name.trim();
+        }
+        if (method !== undefined) rate.method = method;
+        if (ratePerKm !== undefined) rate.ratePerKm = ratePerKm;
+        if (tiers !== undefined) rate.tiers = tiers;
+        if (isDefault !== undefined) {
+            if (isDefault === true) {
+                await ReimbursementRate.updateMany({ userId: req.userId, _id: { $ne: rate._id } }, { isDefault: false });
+            }
+            rate.isDefault = isDefault === true;
+        }
+        
+        await rate.save();
+        res.json({ success: true, rate });
+    } catch (error) {
+        console.error('Error updating reimbursement rate:', error);
+        res.status(500).json({ error: 'Failed to update reimbursement rate' });
+    }
+});
+
+app.delete('/api/reimbursement/rates/:rateId', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.rateId)) {
+            return res.status(404).json({ error: 'Rate not found' });
+        }
+        
+        const rate = await ReimbursementRate.findOneAndDelete({ _id: req.params.rateId, userId: req.userId });
+        if (!rate) {
+            return res.status(404).json({ error: 'Rate not found' });
+        }
+        
+        res.json({ success: true, message: 'Rate deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting reimbursement rate:', error);
+        res.status(500).json({ error: 'Failed to delete reimbursement rate' });
+    }
+});
+
+// Reimbursement claim for business trips between two dates
+app.get('/api/reimbursement/claim', authenticateToken, async (req, res) => {
+    try {
+        const { startDate, endDate, rateId, vehicleId } = req.query;
+        
+        if (!startDate || !endDate ||
+            !moment(startDate, 'YYYY-MM-DD', true).isValid() || !moment(endDate, 'YYYY-MM-DD', true).isValid()) {
+            return res.status(400).json({ error: 'Valid start and end dates are required (YYYY-MM-DD)' });
+        }
+        
+        if (startDate > endDate) {
+            return res.status(400).json({ error: 'Start date must be before or equal to end date' });
+        }
+        
+        const rate = await getReimbursementRate(req.userId, rateId);
+        if (!rate) {
+            return res.status(404).json({ error: 'Rate not found' });
+        }
+        
+        let vehicle = null;
+        if (vehicleId) {
+            vehicle = await getUserVehicle(req.userId, vehicleId);
+            if (!vehicle) {
+                return res.status(404).json({ error: 'Vehicle not found' });
+            }
+        }
+        
+        const claim = await buildReimbursementClaim(req.userId, { startDate, endDate, vehicle, rate });
+        if (claim.error) {
+            return res.status(400).json({ error: claim.error });
+        }
+        
+        res.json({
+            period: { startDate, endDate },
+            rate: describeReimbursementRate(rate),
+            vehicle: vehicle ? { id: vehicle._id, registration: vehicle.registration } : null,
+            ...claim
+        });
+    } catch (error) {
+        console.error('Error building reimbursement claim:', error);
+        res.status(500).json({ error: 'Failed to build reimbursement claim' });
+    }
+});
+
+// Motor Vehicle Log columns shared by the CSV and PDF exports
+const LOGBOOK_COLUMNS = [
+    'Date Trip Began',
+    'Date Trip Ended', 
+    'Purpose of Trip',
+    'Classification',
+    'Area From',
+    'Area To',
+    'Route',
+    'Odometer Reading Start',
+    'Odometer Reading Finish',
+    'Kilometres Travelled',
+    'Signature of person making Entry',
+    'Date of Entry',
+    'Expenses',
+    'Alterations'
+];
+
+const EXPORT_FORMATS = ['csv', 'pdf'];
+
+// Extra columns added to the log when an export includes the reimbursement claim
+const REIMBURSEMENT_COLUMNS = ['Claimable Kilometres', 'Reimbursement ($)'];
+
+// Helper function to turn a trip into a Motor Vehicle Log entry
+function buildLogbookEntry(trip, revisions = []) {
+    return {
+        startDate: trip.startDate || '',
+        endDate: trip.endDate || trip.startDate || '',
+        purpose: trip.purpose || '',
+        classification: trip.classification || 'business',
+        areaFrom: trip.startArea || 'Unknown Area',
+        areaTo: trip.endArea || 'Unknown Area',
+        stops: (trip.stops || []).map(stop => stop.area || 'Unknown Area'),
+        startOdometer: trip.startOdometer || 0,
+        endOdometer: trip.endOdometer || 0,
+        distance: trip.totalDistance || 0,
+        entryDate: new Date(trip.startTime).toISOString().split('T')[0],
+        expenses: (trip.expenses || []).map(expense => ({
+            category: expense.category,
+            amount: expense.amount,
+            currency: expense.currency,
+            gst: expense.gst || 0,
+            note: expense.note || ''
+        })),
+        alterations: revisions.map(describeTripRevision)
+    };
+}
+
+// Helper function to describe a trip expense in one line, e.g. "Toll 7.45 AUD (GST 0.68) - M5"
+function describeExpense(expense) {
+    const category = expense.category.charAt(0).toUpperCase() + expense.category.slice(1);
+    const gst = expense.gst > 0 ? ` (GST ${expense.gst.toFixed(2)})` : '';
+    const note = expense.note ? ` - ${expense.note}` : '';
+    return `${category} ${expense.amount.toFixed(2)} ${expense.currency}${gst}${note}`;
+}
+
+// Helper function to build the CSV version of the Motor Vehicle Log
+function buildLogbookCsv(entries, { includeReimbursement = false, includeDriver = false } = {}) {
+    const csvRows = entries.map(entry => [
+        ...(includeDriver ? [entry.driver] : []),
+        entry.startDate,
+        entry.endDate,
+        entry.purpose,
+        entry.classification,
+        entry.areaFrom,
+        entry.areaTo,
+        [entry.areaFrom, ...entry.stops, entry.areaTo].join(' → '),
+        entry.startOdometer,
+        entry.endOdometer,
+        entry.distance,
+        '', // Empty signature as requested
+        entry.entryDate,
+        entry.expenses.map(describeExpense).join(' | '),
+        entry.alterations.join(' | '),
+        ...(includeReimbursement ? [entry.claimableKm, entry.reimbursement.toFixed(2)] : [])
+    ]);
+    const header = [
+        ...(includeDriver ? ['Driver'] : []),
+        ...LOGBOOK_COLUMNS,
+        ...(includeReimbursement ? REIMBURSEMENT_COLUMNS : [])
+    ];
+
+    return [header, ...csvRows]
+        .map(row => row.map(field => {
+            // Escape quotes and wrap fields with commas or quotes in quotes
+            const stringField = String(field);
+            if (stringField.includes(',') || stringField.includes('"') || stringField.includes('\n')) {
+                return `"${stringField.replace(/"/g, '""')}"`;
+            }
+            return stringField;
+        }).join(','))
+        .join('\n');
+}
+
+// Helper function to render the Motor Vehicle Log as a paginated, signable PDF
+function buildLogbookPdf({ driverName, vehicle, startDate, endDate, entries, reimbursement = null }) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36, bufferPages: true });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        // The signature column is replaced by the signature block at the end of the log
+        // Reimbursement columns take their width from the purpose and area columns
+        const columns = [
+            { label: 'Date Trip Began', key: 'startDate', width: 62 },
+            { label: 'Date Trip Ended', key: 'endDate', width: 62 },
+            { label: 'Purpose of Trip', key: 'purpose', width: reimbursement ? 120 : 170 },
+            { label: 'Area From', key: 'areaFrom', width: reimbursement ? 90 : 110 },
+            { label: 'Area To', key: 'areaToWithStops', width: reimbursement ? 90 : 110 },
+            { label: 'Odometer Start', key: 'startOdometer', width: 70, align: 'right' },
+            { label: 'Odometer Finish', key: 'endOdometer', width: 70, align: 'right' },
+            { label: 'Kilometres Travelled', key: 'distance', width: 56, align: 'right' },
+            ...(reimbursement ? [
+                { label: 'Claimable km', key: 'claimableKm', width: 48, align: 'right' },
+                { label: 'Amount ($)', key: 'reimbursementAmount', width: 42, align: 'right' }
+            ] : []),
+            { label: 'Date of Entry', key: 'entryDate', width: 60 }
+        ];
+        const left = doc.page.margins.left;
+        const tableWidth = columns.reduce((sum, column) => sum + column.width, 0);
+        const bottom = () => doc.page.height - doc.page.margins.bottom - 20;
+        const cellPadding = 3;
+        const vehicleLabel = vehicle
+            ? [vehicle.registration, vehicle.make, vehicle.model].filter(Boolean).join(' ')
+            : 'Not specified';
+
+        const drawPageHeader = () => {
+            doc.font('Helvetica-Bold').fontSize(16).text('Motor Vehicle Log', left, doc.page.margins.top);
+            doc.font('Helvetica').fontSize(9)
+                .text(`Driver: ${driverName}`)
+                .text(`Vehicle: ${vehicleLabel}`)
+                .text(`Period: ${startDate} to ${endDate}`);
+            doc.moveDown(0.5);
+            drawRow(columns.map(column => column.label), true);
+        };
+
+        const rowHeight = (values, bold) => {
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+            return Math.max(...values.map((value, index) =>
+                doc.heightOfString(String(value), { width: columns[index].width - cellPadding * 2 }))) + cellPadding * 2;
+        };
+
+        const drawRow = (values, bold) => {
+            const y = doc.y;
+            const height = rowHeight(values, bold);
+            let x = left;
+            if (bold) {
+                doc.rect(left, y, tableWidth, height).fill('#e8e8e8').fillColor('black');
+            }
+            values.forEach((value, index) => {
+                const column = columns[index];
+                doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8)
+                    .text(String(value), x + cellPadding, y + cellPadding, {
+                        width: column.width - cellPadding * 2,
+                        align: bold ? 'left' : (column.align || 'left')
+                    });
+                x += column.width;
+            });
+            doc.moveTo(left, y + height).lineTo(left + tableWidth, y + height).lineWidth(0.5).strokeColor('#999999').stroke();
+            doc.x = left;
+            doc.y = y + height;
+        };
+
+        const drawSubtotal = (label, tripCount, distance) => {
+            doc.font('Helvetica-Bold').fontSize(8)
+                .text(`${label}: ${tripCount} trip${tripCount === 1 ? '' : 's'}, ${distance} km`,
+                    left, doc.y + 4, { width: tableWidth, align: 'right' });
+            doc.x = left;
+        };
+
+        drawPageHeader();
+
+        let pageTrips = 0;
+        let pageDistance = 0;
+        entries.forEach(entry => {
+            // Stops are listed in the Area To cell since the standard fonts can't draw arrows
+            const areaToWithStops = entry.stops.length > 0
+                ? `${entry.areaTo} (via ${entry.stops.join(', ')})`
+                : entry.areaTo;
+            const values = columns.map(column => {
+                if (column.key === 'areaToWithStops') return areaToWithStops;
+                // Fleet logs cover several drivers, so each entry names its driver
+                if (column.key === 'purpose' && entry.driver) return `${entry.purpose}\nDriver: ${entry.driver}`;
+                if (column.key === 'reimbursementAmount') return entry.reimbursement.toFixed(2);
+                return entry[column.key];
+            });
+            if (doc.y + rowHeight(values, false) > bottom()) {
+                drawSubtotal('Page subtotal', pageTrips, pageDistance);
+                doc.addPage();
+                drawPageHeader();
+                pageTrips = 0;
+                pageDistance = 0;
+            }
+            drawRow(values, false);
+            pageTrips += 1;
+            pageDistance = roundDistance(pageDistance + entry.distance);
+        });
+        drawSubtotal('Page subtotal', pageTrips, pageDistance);
+
+        // Grand totals and signature block
+        const totalDistance = roundDistance(entries.reduce((sum, entry) => sum + entry.distance, 0));
+        const openingOdometer = entries.length > 0 ? entries[0].startOdometer : 0;
+        const closingOdometer = entries.length > 0 ? entries[entries.length - 1].endOdometer : 0;
+        if (doc.y + 150 > bottom()) {
+            doc.addPage();
+            doc.y = doc.page.margins.top;
+        }
+        doc.moveDown(1.5);
+        doc.font('Helvetica-Bold').fontSize(10).text('Totals for period', left);
+        doc.font('Helvetica').fontSize(9)
+            .text(`Trips recorded: ${entries.length}`)
+            .text(`Kilometres travelled: ${totalDistance} km`)
+            .text(`Opening odometer: ${openingOdometer} km`)
+            .text(`Closing odometer: ${closingOdometer} km`);
+        if (reimbursement) {
+            doc.text(`Claimable kilometres: ${reimbursement.totalClaimableKm} km`)
+                .text(`Reimbursement: $${reimbursement.totalAmount.toFixed(2)} (${reimbursement.rate.name}: ` +
+                    `$${reimbursement.totalMileageAmount.toFixed(2)} kilometres, $${reimbursement.totalExpensesAmount.toFixed(2)} expenses)`);
+            reimbursement.warnings.forEach(warning => doc.text(`Note: ${warning}`));
+        }
+
+        // Expenses claimed against each trip
+        const entriesWithExpenses = entries.filter(entry => entry.expenses.length > 0);
+        if (entriesWithExpenses.length > 0) {
+            doc.moveDown(1.5);
+            doc.font('Helvetica-Bold').fontSize(10).text('Trip expenses', left);
+            doc.font('Helvetica').fontSize(8);
+            entriesWithExpenses.forEach(entry => {
+                doc.text(`${entry.startDate} ${entry.areaFrom} to ${entry.areaTo}:`, left, doc.y, { width: tableWidth });
+                entry.expenses.forEach(expense => doc.text(`  - ${describeExpense(expense)}`, { width: tableWidth }));
+            });
+        }
+
+        // Alterations made to entries after they were recorded
+        const alteredEntries = entries.filter(entry => entry.alterations.length > 0);
+        if (alteredEntries.length > 0) {
+            doc.moveDown(1.5);
+            doc.font('Helvetica-Bold').fontSize(10).text('Alterations to entries', left);
+            doc.font('Helvetica').fontSize(8);
+            alteredEntries.forEach(entry => {
+                doc.text(`${entry.startDate} ${entry.areaFrom} to ${entry.areaTo}:`, left, doc.y, { width: tableWidth });
+                entry.alterations.forEach(alteration => doc.text(`  - ${alteration}`, { width: tableWidth }));
+            });
+            if (doc.y + 110 > bottom()) {
+                doc.addPage();
+                doc.y = doc.page.margins.top;
+            }
+        }
+
+        doc.moveDown(1.5);
+        doc.font('Helvetica').fontSize(9).text(
+            'I declare that the entries in this Motor Vehicle Log are a true and correct record of the trips made in the vehicle during the period shown.',
+            left, doc.y, { width: tableWidth });
+        doc.moveDown(2.5);
+        const signatureY = doc.y;
+        doc.moveTo(left, signatureY).lineTo(left + 260, signatureY).lineWidth(0.75).strokeColor('black').stroke();
+        doc.moveTo(left + 340, signatureY).lineTo(left + 500, signatureY).stroke();
+        doc.fontSize(8)
+            .text(`Signature of ${driverName}`, left, signatureY + 4, { width: 260 })
+            .text('Date', left + 340, signatureY + 4, { width: 160 });
+
+        // Page numbers on every page
+        const range = doc.bufferedPageRange();
+        for (let i = range.start; i < range.start + range.count; i++) {
+            doc.switchToPage(i);
+            const bottomMargin = doc.page.margins.bottom;
+            doc.page.margins.bottom = 0;
+            doc.font('Helvetica').fontSize(8).fillColor('#666666')
+                .text(`Page ${i + 1} of ${range.count}`, left, doc.page.height - bottomMargin - 12,
+                    { width: tableWidth, align: 'right' });
+            doc.page.margins.bottom = bottomMargin;
+            doc.fillColor('black');
+        }
+
+        doc.end();
+    });
+}
+
+// Helper function to check the date range and format of a logbook export request
+function validateExportRequest(body) {
+    const { startDate, endDate } = body;
+    const requestedFormat = body.format || 'csv';
+    const format = typeof requestedFormat === 'string' ? requestedFormat.toLowerCase() : null;
+    
+    if (!startDate || !endDate) {
+        return { error: 'Start date and end date are required' };
+    }
+
+    if (!format || !EXPORT_FORMATS.includes(format)) {
+        return { error: `Export format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return { error: 'Invalid date format' };
+    }
+
+    if (start > end) {
+        return { error: 'Start date must be before or equal to end date' };
+    }
+    
+    return { startDate, endDate, format };
+}
+
+// Helper function to build a Motor Vehicle Log from trips and send it as a CSV or PDF download
+// drivers maps userId to name when the log covers several drivers; reimbursement is { userId, rateId }
+async function sendLogbookExport(res, { trips, format, startDate, endDate, driverName, vehicle, filenamePrefix, drivers = null, reimbursement: reimbursementFor = null }) {
+    // Alterations are listed alongside each entry so changes to the log stay traceable
+    const revisions = await TripRevision.find({
+        userId: { $in: [...new Set(trips.map(trip => trip.userId))] },
+        tripId: { $in: trips.map(trip => trip.id) }
+    }).sort({ editedAt: 1 });
+    const entries = trips.map(trip => {
+        const entry = buildLogbookEntry(
+            trip,
+            revisions.filter(revision => revision.tripId === trip.id && revision.userId === trip.userId)
+        );
+        if (drivers) {
+            entry.driver = drivers.get(trip.userId) || trip.userId;
+        }
+        return entry;
+    });
+
+    // Optionally add the claimable kilometres and amount for each trip
+    let reimbursement = null;
+    if (reimbursementFor) {
+        const rate = await getReimbursementRate(reimbursementFor.userId, reimbursementFor.rateId);
+        if (!rate) {
+            return res.status(404).json({ error: 'Rate not found' });
+        }
+        const claim = await buildReimbursementClaim(reimbursementFor.userId, { startDate, endDate, vehicle, rate });
+        if (claim.error) {
+            return res.status(400).json({ error: claim.error });
+        }
+        const claimRows = new Map(claim.trips.map(row => [row.tripId, row]));
+        trips.forEach((trip, index) => {
+            const row = claimRows.get(trip.id);
+            entries[index].claimableKm = row ? row.claimableKm : 0;
+            entries[index].reimbursement = row ? row.amount : 0;
+        });
+        reimbursement = {
+            rate,
+            totalClaimableKm: claim.totalClaimableKm,
+            totalMileageAmount: claim.totalMileageAmount,
+            totalExpensesAmount: claim.totalExpensesAmount,
+            totalAmount: claim.totalAmount,
+            warnings: claim.warnings
+        };
+    }
+    
+    const vehicleSuffix = vehicle ? `_${vehicle.registration.replace(/[^A-Z0-9]/g, '')}` : '';
+    const filenameBase = `${filenamePrefix}${vehicleSuffix}_${startDate.replace(/-/g, '')}_to_${endDate.replace(/-/g, '')}`;
+
+    if (format === 'pdf') {
+        const pdfContent = await buildLogbookPdf({
+            driverName,
+            vehicle,
+            startDate,
+            endDate,
+            entries,
+            reimbursement
+        });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filenameBase}.pdf"`);
+        res.setHeader('Content-Length', pdfContent.length);
+        return res.send(pdfContent);
+    }
+
+    // Create CSV content
+    const csvContent = buildLogbookCsv(entries, { includeReimbursement: reimbursement !== null, includeDriver: drivers !== null });
+
+    // Set headers for CSV download
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filenameBase}.csv"`);
+    res.setHeader('Content-Length', Buffer.byteLength(csvContent));
+    
+    // Send CSV content
+    return res.send(csvContent);
+}
+
+// Export trips to CSV or PDF for date range
+app.post('/api/trips/export', authenticateToken, rateLimit('export'), async (req, res) => {
+    try {
+        const { vehicleId, includeReimbursement, rateId } = req.body;
+        
+        // Validation
+        const { startDate, endDate, format, error } = validateExportRequest(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const user = await User.findOne({ email: req.userId });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Each vehicle gets its own Motor Vehicle Log
+        let vehicle = null;
+        if (vehicleId) {
+            vehicle = await getUserVehicle(req.userId, vehicleId);
+            if (!vehicle) {
+                return res.status(404).json({ error: 'Vehicle not found' });
+            }
+        }
+
+        // Filter trips by date range and user
+        const tripQuery = {
+            userId: req.userId,
+            draft: { $ne: true },
+            startDate: { 
+                $gte: startDate, 
+                $lte: endDate 
+            }
+        };
+        if (vehicle) {
+            tripQuery.vehicleId = vehicle._id;
+        }
+        const filteredTrips = await Trip.find(tripQuery).sort({ startTime: 1 });
+
+        if (filteredTrips.length === 0) {
+            return res.status(404).json({ error: 'No trips found in the specified date range' });
+        }
+
+        await sendLogbookExport(res, {
+            trips: filteredTrips,
+            format,
+            startDate,
+            endDate,
+            driverName: user.fullName,
+            vehicle,
+            filenamePrefix: 'Motor_Vehicle_Log',
+            reimbursement: includeReimbursement === true ? { userId: req.userId, rateId } : null
+        });
+
+    } catch (error) {
+        console.error('Export error:', error);
+        res.status(500).json({ 
+            error: 'Failed to export trips', 
+            details: error.message,
+            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        });
+    }
+});
+
+// Route export formats for mapping and fleet tools
+const ROUTE_EXPORT_FORMATS = {
+    gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+    kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+    geojson: { contentType: 'application/geo+json', extension: 'geojson' }
+};
+
+// Helper function to escape text for XML documents
+function escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Helper function to get the recorded geometry of a trip, falling back to its start and end points
+function getTripTrackPoints({ trip, routePoints: fullRoutePoints }) {
+    const routePoints = (fullRoutePoints || trip.routePoints || [])
+        .filter(point => typeof point.latitude === 'number' && typeof point.longitude === 'number');
+    
+    if (routePoints.length > 0) {
+        return routePoints;
+    }
+    
+    // Trips imported from a paper logbook may have no coordinates at all
+    return [
+        { latitude: trip.startLatitude, longitude: trip.startLongitude, timestamp: trip.startTime },
+        { latitude: trip.endLatitude, longitude: trip.endLongitude, timestamp: trip.endTime }
+    ].filter(point => typeof point.latitude === 'number' && typeof point.longitude === 'number');
+}
+
+// Helper function to collect the descriptive properties exported with each route
+function getTripRouteProperties(trip) {
+    return {
+        tripId: trip.id,
+        purpose: trip.purpose || '',
+        classification: trip.classification || 'business',
+        startDate: trip.startDate || '',
+        endDate: trip.endDate || trip.startDate || '',
+        startTime: trip.startTime ? new Date(trip.startTime).toISOString() : null,
+        endTime: trip.endTime ? new Date(trip.endTime).toISOString() : null,
+        startArea: trip.startArea || 'Unknown Area',
+        endArea: trip.endArea || 'Unknown Area',
+        startOdometer: trip.startOdometer || 0,
+        endOdometer: trip.endOdometer || 0,
+        totalDistance: trip.totalDistance || 0,
+        gpsDistance: trip.gpsDistance || 0,
+        rawRouteDistance: trip.rawRouteDistance || 0,
+        cleanedRouteDistance: trip.cleanedRouteDistance || 0,
+        distanceSource: trip.distanceSource || null,
+        stops: (trip.stops || []).map(stop => stop.area || 'Unknown Area').join('; ')
+    };
+}
+
+// Build a GPX document with one track per trip
+function buildGpx(routes) {
+    const tracks = routes.map(route => {
+        const properties = getTripRouteProperties(route.trip);
+        const points = getTripTrackPoints(route).map(point => {
+            const time = point.timestamp ? `<time>${new Date(point.timestamp).toISOString()}</time>` : '';
+            return `      <trkpt lat="${point.latitude}" lon="${point.longitude}">${time}</trkpt>`;
+        }).join('\n');
+        
+        return [
+            '  <trk>',
+            `    <name>${escapeXml(`${properties.startDate} ${properties.startArea} to ${properties.endArea}`.trim())}</name>`,
+            `    <desc>${escapeXml(`${properties.purpose} (${properties.totalDistance} km)`)}</desc>`,
+            `    <type>${escapeXml(properties.classification)}</type>`,
+            '    <trkseg>',
+            points,
+            '    </trkseg>',
+            '  </trk>'
+        ].join('\n');
+    });
+    
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="TripGo" xmlns="http://www.topografix.com/GPX/1/1">',
+        ...tracks,
+        '</gpx>'
+    ].join('\n');
+}
+
+// Build a KML document with one placemark linestring per trip
+function buildKml(routes) {
+    const placemarks = routes.map(route => {
+        const properties = getTripRouteProperties(route.trip);
+        const coordinates = getTripTrackPoints(route)
+            .map(point => `${point.longitude},${point.latitude}`)
+            .join(' ');
+        const extendedData = Object.entries(properties)
+            .map(([name, value]) => `        <Data name="${name}"><value>${escapeXml(value)}</value></Data>`)
+            .join('\n');
+        
+        return [
+            '    <Placemark>',
+            `      <name>${escapeXml(`${properties.startDate} ${properties.startArea} to ${properties.endArea}`.trim())}</name>`,
+            `      <description>${escapeXml(`${properties.purpose} (${properties.totalDistance} km)`)}</description>`,
+            '      <ExtendedData>',
+            extendedData,
+            '      </ExtendedData>',
+            '      <LineString>',
+            '        <tessellate>1</tessellate>',
+            `        <coordinates>${coordinates}</coordinates>`,
+            '      </LineString>',
+            '    </Placemark>'
+        ].join('\n');
+    });
+    
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        '    <name>TripGo Routes</name>',
+        ...placemarks,
+        '  </Document>',
+        '</kml>'
+    ].join('\n');
+}
+
+// Build a GeoJSON FeatureCollection with one feature per trip
+function buildGeoJson(routes) {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        features: routes.map(route => {
+            const points = getTripTrackPoints(route);
+            return {
+                type: 'Feature',
+                properties: {
+                    ...getTripRouteProperties(route.trip),
+                    timestamps: points.map(point => point.timestamp ? new Date(point.timestamp).toISOString() : null)
+                },
+                geometry: points.length > 1
+                    ? { type: 'LineString', coordinates: points.map(point => [point.longitude, point.latitude]) }
+                    : (points.length === 1 ? { type: 'Point', coordinates: [points[0].longitude, points[0].latitude] } : null)
+            };
+        })
+    }, null, 2);
+}
+
+// Helper function to send trips in the requested route format, using their full-resolution routes
+async function sendRouteExport(res, userId, trips, format, filenameBase) {
+    const builders = { gpx: buildGpx, kml: buildKml, geojson: buildGeoJson };
+    const routes = [];
+    for (const trip of trips) {
+        routes.push({ trip, routePoints: await getFullRoutePoints(userId, trip) });
+    }
+    const content = builders[format](routes);
+    const { contentType, extension } = ROUTE_EXPORT_FORMATS[format];
+    
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filenameBase}.${extension}"`);
+    res.setHeader('Content-Length', Buffer.byteLength(content));
+    res.send(content);
+}
+
+// Export a single trip's route
+app.get('/api/trip/:tripId/route', authenticateToken, async (req, res) => {
+    try {
+        const requestedFormat = req.query.format || 'gpx';
+        const format = typeof requestedFormat === 'string' ? requestedFormat.toLowerCase() : null;
+        
+        if (!format || !Object.hasOwn(ROUTE_EXPORT_FORMATS, format)) {
+            return res.status(400).json({ error: `Route format must be one of: ${Object.keys(ROUTE_EXPORT_FORMATS).join(', ')}` });
+        }
+        
+        const trip = await Trip.findOne({ id: parseInt(req.params.tripId), userId: req.userId });
+        if (!trip) {
+            return res.status(404).json({ error: 'Trip not found' });
+        }
+        
+        await sendRouteExport(res, req.userId, [trip], format, `TripGo_Route_${trip.id}`);
+    } catch (error) {
+        console.error('Route export error:', error);
+        res.status(500).json({ error: 'Failed to export trip route' });
+    }
+});
+
+// Export routes for all trips in a date range
+app.post('/api/trips/export/routes', authenticateToken, rateLimit('export'), async (req, res) => {
+    try {
+        const { startDate, endDate, vehicleId } = req.body;
+        const requestedFormat = req.body.format || 'gpx';
+        const format = typeof requestedFormat === 'string' ? requestedFormat.toLowerCase() : null;
+        
+        if (!startDate || !endDate) {
+            return res.status(400).json({ error: 'Start date and end date are required' });
+        }
+        
+        if (!format || !Object.hasOwn(ROUTE_EXPORT_FORMATS, format)) {
+            return res.status(400).json({ error: `Route format must be one of: ${Object.keys(ROUTE_EXPORT_FORMATS).join(', ')}` });
+        }
+        
+        if (isNaN(new Date(startDate).getTime()) || isNaN(new Date(endDate).getTime())) {
+            return res.status(400).json({ error: 'Invalid date format' });
+        }
+        
+        if (new Date(startDate) > new Date(endDate)) {
+            return res.status(400).json({ error: 'Start date must be before or equal to end date' });
+        }
+        
+        const tripQuery = {
+            userId: req.userId,
+            active: false,
+            draft: { $ne: true },
+            startDate: { $gte: startDate, $lte: endDate }
+        };
+        if (vehicleId) {
+            const vehicle = await getUserVehicle(req.userId, vehicleId);
+            if (!vehicle) {
+                return res.status(404).json({ error: 'Vehicle not found' });
+            }
+            tripQuery.vehicleId = vehicle._id;
+        }
+        
+        const trips = await Trip.find(tripQuery).sort({ startTime: 1 });
+        if (trips.length === 0) {
+            return res.status(404).json({ error: 'No trips found in the specified date range' });
+        }
+        
+        await sendRouteExport(res, req.userId, trips, format, `TripGo_Routes_${startDate.replace(/-/g, '')}_to_${endDate.replace(/-/g, '')}`);
+    } catch (error) {
+        console.error('Route export error:', error);
+        res.status(500).json({ error: 'Failed to export trip routes' });
+    }
+});
+
+// Trip import from logbook CSVs (the /api/trips/export layout) and GPX tracks
+const IMPORT_ROW_LIMIT = 5000;
+const IMPORT_DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'D/M/YYYY', 'DD-MM-YYYY'];
+
+// Helper function to parse CSV text into rows, honouring quoted fields
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    // Ignore blank lines
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Helper function to parse a logbook date in any of the accepted formats
+function parseImportDate(value) {
+    const date = moment(String(value || '').trim(), IMPORT_DATE_FORMATS, true);
+    return date.isValid() ? date : null;
+}
+
+// Helper function to turn logbook CSV text into candidate trips
+function parseCsvImport(text) {
+    const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (rows.length === 0) {
+        throw new Error('The CSV file is empty');
+    }
+    
+    const header = rows[0].map(name => name.trim().toLowerCase());
+    const column = (name) => header.indexOf(name.toLowerCase());
+    const required = ['Date Trip Began', 'Purpose of Trip', 'Odometer Reading Start', 'Odometer Reading Finish'];
+    const missing = required.filter(name => column(name) === -1);
+    if (missing.length > 0) {
+        throw new Error(`Missing CSV columns: ${missing.join(', ')}`);
+    }
+    
+    const value = (fields, name) => {
+        const index = column(name);
+        return index === -1 || fields[index] === undefined ? '' : fields[index].trim();
+    };
+    
+    return rows.slice(1).map((fields, index) => {
+        const errors = [];
+        const startDate = parseImportDate(value(fields, 'Date Trip Began'));
+        const endDateValue = value(fields, 'Date Trip Ended');
+        const endDate = endDateValue ? parseImportDate(endDateValue) : startDate;
+        const startOdometer = parseFloat(value(fields, 'Odometer Reading Start'));
+        const endOdometer = parseFloat(value(fields, 'Odometer Reading Finish'));
+        const distanceValue = value(fields, 'Kilometres Travelled');
+        const classification = value(fields, 'Classification').toLowerCase() || 'business';
+        const warnings = column('Classification') === -1 ? ['No "Classification" column, so the trip is imported as business'] : [];
+        
+        if (!startDate) errors.push('Invalid or missing "Date Trip Began"');
+        if (!endDate) errors.push('Invalid "Date Trip Ended"');
+        if (!value(fields, 'Purpose of Trip')) errors.push('Purpose of trip is required');
+        if (isNaN(startOdometer) || startOdometer < 0) errors.push('Invalid "Odometer Reading Start"');
+        if (isNaN(endOdometer) || endOdometer < 0) errors.push('Invalid "Odometer Reading Finish"');
+        if (!TRIP_CLASSIFICATIONS.includes(classification)) errors.push(`Unknown classification: ${classification}`);
+        
+        return {
+            row: index + 2, // Header is row 1
+            errors,
+            warnings,
+            distance: distanceValue === '' ? null : parseFloat(distanceValue),
+            trip: {
+                startDate: startDate ? startDate.format('YYYY-MM-DD') : null,
+                endDate: endDate ? endDate.format('YYYY-MM-DD') : null,
+                purpose: value(fields, 'Purpose of Trip'),
+                classification,
+                startArea: value(fields, 'Area From') || 'Unknown Area',
+                endArea: value(fields, 'Area To') || 'Unknown Area',
+                startOdometer,
+                endOdometer,
+                distanceSource: 'odometer reading',
+                importSource: 'csv'
+            }
+        };
+    });
+}
+
+// Helper function to read an attribute or child element from a GPX fragment
+function readXmlValue(xml, pattern) {
+    const match = xml.match(pattern);
+    if (!match) {
+        return '';
+    }
+    return match[1]
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+// Helper function to turn GPX tracks into candidate trips
+function parseGpxImport(xml, defaultPurpose) {
+    const tracks = xml.match(/<trk[\s>][\s\S]*?<\/trk>/g) || [];
+    if (tracks.length === 0) {
+        throw new Error('No tracks found in GPX file');
+    }
+    
+    return tracks.map((track, index) => {
+        const errors = [];
+        const routePoints = (track.match(/<trkpt[\s\S]*?(?:\/>|<\/trkpt>)/g) || []).map(point => ({
+            latitude: parseFloat(readXmlValue(point, /lat="([^"]*)"/)),
+            longitude: parseFloat(readXmlValue(point, /lon="([^"]*)"/)),
+            timestamp: readXmlValue(point, /<time>([\s\S]*?)<\/time>/) ? new Date(readXmlValue(point, /<time>([\s\S]*?)<\/time>/)) : null,
+            accuracy: 0
+        })).filter(point => !isNaN(point.latitude) && !isNaN(point.longitude));
+        
+        if (routePoints.length < 2) {
+            errors.push('Track needs at least two points');
+        }
+        if (routePoints.some(point => !point.timestamp || isNaN(point.timestamp.getTime()))) {
+            errors.push('Every track point needs a valid time');
+        }
+        
+        // Tracks exported by TripGo carry "<date> <from> to <to>" names and "<purpose> (<n> km)" descriptions
+        const name = readXmlValue(track, /<name>([\s\S]*?)<\/name>/);
+        const description = readXmlValue(track, /<desc>([\s\S]*?)<\/desc>/);
+        const type = readXmlValue(track, /<type>([\s\S]*?)<\/type>/).toLowerCase();
+        const areas = name.match(/^\d{4}-\d{2}-\d{2} (.+) to (.+)$/);
+        const purpose = description.replace(/\s*\([\d.]+ km\)$/, '') || defaultPurpose || name || 'Imported GPX trip';
+        
+        let gpsDistance = 0;
+        for (let i = 1; i < routePoints.length; i++) {
+            gpsDistance += calculateDistance(
+                routePoints[i - 1].latitude, routePoints[i - 1].longitude,
+                routePoints[i].latitude, routePoints[i].longitude
+            );
+        }
+        
+        const firstPoint = routePoints[0];
+        const lastPoint = routePoints[routePoints.length - 1];
+        const hasTimes = errors.length === 0;
+        
+        return {
+            row: index + 1,
+            errors,
+            warnings: [],
+            distance: null,
+            trip: {
+                startDate: hasTimes ? moment(firstPoint.timestamp).format('YYYY-MM-DD') : null,
+                endDate: hasTimes ? moment(lastPoint.timestamp).format('YYYY-MM-DD') : null,
+                startTime: hasTimes ? firstPoint.timestamp : null,
+                endTime: hasTimes ? lastPoint.timestamp : null,
+                purpose,
+                classification: TRIP_CLASSIFICATIONS.includes(type) ? type : 'business',
+                startArea: areas ? areas[1] : 'Unknown Area',
+                endArea: areas ? areas[2] : 'Unknown Area',
+                startLatitude: firstPoint ? firstPoint.latitude : undefined,
+                startLongitude: firstPoint ? firstPoint.longitude : undefined,
+                endLatitude: lastPoint ? lastPoint.latitude : undefined,
+                endLongitude: lastPoint ? lastPoint.longitude : undefined,
+                gpsDistance: Math.round(gpsDistance * 100) / 100,
+                totalDistance: roundDistance(gpsDistance),
+                distanceSource: 'GPS tracking',
+                routePoints,
+                importSource: 'gpx'
+            }
+        };
+    });
+}
+
+// Helper function to check an imported trip's odometer readings against the logged trips either side of it
+function findImportOdometerConflict(trip, loggedTrips) {
+    let previousTrip;
+    let nextTrip;
+    
+    if (trip.importSource === 'csv') {
+        // CSV rows only have a date, so trips on the same day just mustn't overlap
+        const overlapping = loggedTrips.find(logged => logged.startDate === trip.startDate &&
+            trip.startOdometer < logged.endOdometer && trip.endOdometer > logged.startOdometer);
+        if (overlapping) {
+            return `Odometer readings overlap the existing trip on ${overlapping.startDate} (${overlapping.startOdometer} to ${overlapping.endOdometer} km)`;
+        }
+        previousTrip = loggedTrips.filter(logged => logged.startDate < trip.startDate).pop();
+        nextTrip = loggedTrips.find(logged => logged.startDate > trip.startDate);
+    } else {
+        previousTrip = loggedTrips.filter(logged => logged.startTime < trip.startTime).pop();
+        nextTrip = loggedTrips.find(logged => logged.startTime > trip.startTime);
+    }
+    
+    if (previousTrip && trip.startOdometer < previousTrip.endOdometer) {
+        return `Starting odometer ${trip.startOdometer} is lower than the previous trip's finishing odometer (${previousTrip.endOdometer} km on ${previousTrip.startDate})`;
+    }
+    if (nextTrip && trip.endOdometer > nextTrip.startOdometer) {
+        return `Finishing odometer ${trip.endOdometer} is higher than the next trip's starting odometer (${nextTrip.startOdometer} km on ${nextTrip.startDate})`;
+    }
+    return null;
+}
+
+// Helper function to validate candidate trips against each other and the user's existing trips.
+// Returns the latest trip already in the vehicle log (or null)
+async function validateImportRows(userId, vehicle, rows, { startOdometer, currentOdometer }) {
+    const validRows = rows.filter(row => row.errors.length === 0);
+    
+    // Everything already in this vehicle log, oldest first
+    const existingTrips = await Trip.find(
+        { userId, vehicleId: vehicle ? vehicle._id : null },
+        { startTime: 1, startDate: 1, startOdometer: 1, endOdometer: 1, active: 1, draft: 1 }
+    ).sort({ startTime: 1 }).lean();
+    const loggedTrips = existingTrips.filter(trip => !trip.active && !trip.draft && typeof trip.endOdometer === 'number');
+    const latestTrip = loggedTrips.length > 0 ? loggedTrips[loggedTrips.length - 1] : null;
+    
+    // GPX tracks have no odometer readings, so chain them from the given starting odometer.
+    // Without one they can only follow on from the current odometer when they're newer than the whole log
+    const gpxRows = validRows
+        .filter(row => row.trip.importSource === 'gpx')
+        .sort((a, b) => a.trip.startTime - b.trip.startTime);
+    if (startOdometer === null && latestTrip && gpxRows.some(row => row.trip.startTime < latestTrip.startTime)) {
+        gpxRows.forEach(row => row.errors.push('These tracks are older than trips already in the log, so the odometer reading at the start of the first track (startOdometer) is required'));
+    } else {
+        let runningOdometer = startOdometer !== null ? startOdometer : currentOdometer;
+        gpxRows.forEach(row => {
+            row.trip.startOdometer = runningOdometer;
+            row.trip.endOdometer = roundDistance(runningOdometer + row.trip.totalDistance);
+            runningOdometer = row.trip.endOdometer;
+        });
+    }
+    
+    // CSV rows only have a date, so keep file order within a day for their start times
+    const rowsPerDay = {};
+    validRows
+        .filter(row => row.trip.importSource === 'csv')
+        .forEach(row => {
+            const position = rowsPerDay[row.trip.startDate] || 0;
+            rowsPerDay[row.trip.startDate] = position + 1;
+            row.trip.startTime = moment(row.trip.startDate, 'YYYY-MM-DD').add(position, 'minutes').toDate();
+            row.trip.totalDistance = roundDistance(row.trip.endOdometer - row.trip.startOdometer);
+            
+            if (row.distance !== null && !isNaN(row.distance) && Math.abs(row.distance - row.trip.totalDistance) > 1) {
+                row.warnings.push(`Kilometres travelled (${row.distance}) does not match the odometer readings (${row.trip.totalDistance})`);
+            }
+        });
+    
+    const orderedRows = validRows
+        .filter(row => row.errors.length === 0)
+        .sort((a, b) => a.trip.startTime - b.trip.startTime);
+    
+    const existingStartTimes = new Set(existingTrips.map(trip => new Date(trip.startTime).getTime()));
+    const existingDayOdometers = new Set(existingTrips.map(trip => `${trip.startDate}|${trip.startOdometer}`));
+    const importedStartTimes = new Set();
+    
+    let previousRow = null;
+    for (const row of orderedRows) {
+        const { trip } = row;
+        const startTimeKey = new Date(trip.startTime).getTime();
+        
+        if (trip.endDate < trip.startDate) {
+            row.errors.push('"Date Trip Ended" is before "Date Trip Began"');
+        }
+        if (trip.endOdometer < trip.startOdometer) {
+            row.errors.push('Finishing odometer is lower than the starting odometer');
+        }
+        if (previousRow && trip.startOdometer < previousRow.trip.endOdometer) {
+            row.errors.push(`Starting odometer ${trip.startOdometer} is lower than the previous trip's finishing odometer ${previousRow.trip.endOdometer}`);
+        }
+        
+        // Exported CSVs lose the start time, so a trip on the same day with the same odometer is also a duplicate
+        if (existingStartTimes.has(startTimeKey) ||
+            (trip.importSource === 'csv' && existingDayOdometers.has(`${trip.startDate}|${trip.startOdometer}`))) {
+            row.errors.push('Duplicate of an existing trip');
+        } else if (importedStartTimes.has(startTimeKey)) {
+            row.errors.push('Duplicate of an earlier row in this file');
+        } else {
+            // The odometer has to keep chaining with the logged trips either side, as it does for edits
+            const conflict = findImportOdometerConflict(trip, loggedTrips);
+            if (conflict) {
+                row.errors.push(conflict);
+            }
+        }
+        importedStartTimes.add(startTimeKey);
+        
+        if (row.errors.length === 0) {
+            previousRow = row;
+        }
+    }
+    
+    return latestTrip;
+}
+
+// Helper function to reserve a block of trip ids for an import. Recorded trips take Date.now() as their id
+// when they start, so imports step down from just below the current time past any id already in use,
+// including ids the trip detector has given route points for a trip it hasn't created yet
+async function reserveImportTripIds(userId, count) {
+    let top = Date.now() - 1;
+    for (;;) {
+        const range = { $gt: top - count, $lte: top };
+        const clashes = await Promise.all([
+            Trip.findOne({ userId, id: range }, { id: 1 }).sort({ id: 1 }).lean(),
+            RoutePoint.findOne({ userId, tripId: range }, { tripId: 1 }).sort({ tripId: 1 }).lean()
+        ]);
+        const lowestClash = Math.min(...clashes.filter(Boolean).map(clash => clash.id ?? clash.tripId));
+        if (lowestClash === Infinity) {
+            return Array.from({ length: count }, (_, index) => top - count + 1 + index);
+        }
+        top = lowestClash - 1;
+    }
+}
+
+// Import trips with an optional dry-run preview
+app.post('/api/trips/import', authenticateToken, bodyParser.text({ type: () => true, limit: '10mb' }), async (req, res) => {
+    try {
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            return res.status(400).json({ error: 'Send the CSV or GPX file contents as the request body' });
+        }
+        
+        const content = req.body;
+        const contentType = req.headers['content-type'] || '';
+        const requestedFormat = req.query.format ||
+            (/gpx|xml/.test(contentType) || content.trim().startsWith('<') ? 'gpx' : 'csv');
+        const format = typeof requestedFormat === 'string' ? requestedFormat.toLowerCase() : null;
+        const dryRun = req.query.dryRun !== 'false';
+        
+        if (!format || !['csv', 'gpx'].includes(format)) {
+            return res.status(400).json({ error: 'Import format must be csv or gpx' });
+        }
+        
+        let vehicle = null;
+        if (req.query.vehicleId) {
+            vehicle = await getUserVehicle(req.userId, req.query.vehicleId);
+            if (!vehicle) {
+                return res.status(404).json({ error: 'Vehicle not found' });
+            }
+        }
+        
+        const userData = await getUserData(req.userId);
+        const currentOdometer = vehicle ? vehicle.currentOdometer : userData.currentOdometer;
+        
+        let startOdometer = null;
+        if (req.query.startOdometer !== undefined) {
+            startOdometer = parseFloat(req.query.startOdometer);
+            if (isNaN(startOdometer) || startOdometer < 0) {
+                return res.status(400).json({ error: 'Valid starting odometer reading is required' });
+            }
+        }
+        
+        let rows;
+        try {
+            rows = format === 'gpx' ? parseGpxImport(content, req.query.purpose) : parseCsvImport(content);
+        } catch (parseError) {
+            return res.status(400).json({ error: parseError.message });
+        }
+        
+        if (rows.length > IMPORT_ROW_LIMIT) {
+            return res.status(400).json({ error: `A maximum of ${IMPORT_ROW_LIMIT} trips can be imported at once` });
+        }
+        
+        const latestTrip = await validateImportRows(req.userId, vehicle, rows, { startOdometer, currentOdometer });
+        
+        const validRows = rows.filter(row => row.errors.length === 0);
+        const preview = rows.map(({ row, errors, warnings, trip }) => ({
+            row,
+            status: errors.length === 0 ? 'valid' : 'invalid',
+            errors,
+            warnings,
+            trip: {
+                startDate: trip.startDate,
+                endDate: trip.endDate,
+                purpose: trip.purpose,
+                classification: trip.classification,
+                startArea: trip.startArea,
+                endArea: trip.endArea,
+                startOdometer: trip.startOdometer,
+                endOdometer: trip.endOdometer,
+                totalDistance: trip.totalDistance
+            }
+        }));
+        
+        if (dryRun) {
+            return res.json({
+                dryRun: true,
+                format,
+                totalRows: rows.length,
+                validRows: validRows.length,
+                invalidRows: rows.length - validRows.length,
+                rows: preview
+            });
+        }
+        
+        const tripIds = await reserveImportTripIds(req.userId, validRows.length);
+        const importedRoutePoints = [];
+        const tripDocs = validRows.map((row, index) => {
+            const tripDoc = {
+                ...row.trip,
+                id: tripIds[index],
+                userId: req.userId,
+                vehicleId: vehicle ? vehicle._id : null,
+                organisationId: vehicle ? vehicle.organisationId : null,
+                endTime: row.trip.endTime || null,
+                active: false
+            };
+            
+            // GPX tracks keep their full route in the RoutePoint collection, like recorded trips
+            if (row.trip.routePoints) {
+                const { routeCleaning, routePoints, routePointCount } = buildRouteGeometry(row.trip.routePoints);
+                row.trip.routePoints.forEach(point => importedRoutePoints.push({ ...point, userId: req.userId, tripId: tripDoc.id }));
+                Object.assign(tripDoc, {
+                    routePoints,
+                    routePointCount,
+                    rawRouteDistance: routeCleaning.rawDistance,
+                    cleanedRouteDistance: routeCleaning.cleanedDistance,
+                    routeCleaning: routeCleaning.stats
+                });
+            }
+            
+            return tripDoc;
+        });
+        
+        if (tripDocs.length > 0) {
+            await Trip.insertMany(tripDocs);
+        }
+        
+        if (importedRoutePoints.length > 0) {
+            await RoutePoint.insertMany(importedRoutePoints);
+        }
+        
+        // Move the odometer forward only for trips after everything already logged - back-filled history leaves it alone
+        const newerTrips = tripDocs.filter(trip => !latestTrip ||
+            (trip.startDate >= latestTrip.startDate && trip.startOdometer >= latestTrip.endOdometer));
+        const highestOdometer = Math.max(currentOdometer, ...newerTrips.map(trip => trip.endOdometer));
+        if (highestOdometer > currentOdometer) {
+            if (vehicle) {
+                vehicle.currentOdometer = highestOdometer;
+                await vehicle.save();
+            } else {
+                userData.currentOdometer = highestOdometer;
+                await userData.save();
+            }
+        }
+        
+        console.log(`Trip Import - Imported ${tripDocs.length} of ${rows.length} ${format} trips for ${req.userId}`);
+        
+        res.json({
+            success: true,
+            format,
+            imported: tripDocs.length,
+            skipped: rows.length - tripDocs.length,
+            currentOdometer: highestOdometer,
+            rows: preview
+        });
+    } catch (error) {
+        console.error('Trip import error:', error);
+        res.status(500).json({ error: 'Failed to import trips' });
+    }
+});
+
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`TripGo server is running on port ${PORT}`);
+        console.log(`Access the app at: http://localhost:${PORT}`);
+        
+        // Date-based reminders fall due without any trips, so check everyone on a timer as well
+        setInterval(() => {
+            runAllReminders().catch(error => console.error('Error running reminder check:', error));
+        }, REMINDER_CHECK_INTERVAL_HOURS * 3600000);
+        
+        resumeDataExports().catch(error => console.error('Error resuming data exports:', error));
+    });
+}
 
-app.listen(PORT, () => {
-    console.log(`TripGo server is running on port ${PORT}`);
-    console.log(`Access the app at: http://localhost:${PORT}`);
-});
\ No newline at end of file
+// Calculation helpers covered by the unit tests in test/
+module.exports = {
+    app,
+    cleanRoutePoints,
+    simplifyRoutePoints,
+    buildFuelLog,
+    priceTripKilometres,
+    buildReimbursementClaim
+};
\ No newline at end of file
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Holds the hash of its current refresh token, which is rotated on every use
+const authSessionSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // The token that was rotated out, kept so a replayed refresh token can be detected
+    previousTokenHash: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ipAddress: {
+        type: String,
+        default: ''
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'revoked', 'token_reuse', null],
+        default: null
+    }
+});
+
+// Expired sessions are removed by MongoDB a week after they lapse
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A background job that builds a ZIP of everything held about a user
+const dataExportSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued'
+    },
+    tripsTotal: {
+        type: Number,
+        default: 0
+    },
+    tripsDone: {
+        type: Number,
+        default: 0
+    },
+    // Where the finished archive was written, relative to the export directory
+    fileKey: {
+        type: String,
+        default: null
+    },
+    fileSize: {
+        type: Number,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    startedAt: {
+        type: Date,
+        default: null
+    },
+    // Updated as the worker makes progress, so a job whose worker died can be told apart from a slow one
+    heartbeatAt: {
+        type: Date,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    // Finished archives are removed after this
+    expiresAt: {
+        type: Date,
+        default: null
+    }
+});
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
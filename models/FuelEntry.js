@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A fill-up recorded in a vehicle's fuel log
+const fuelEntrySchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // Fill-ups without a vehicle belong to the user's default odometer
+    vehicleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        default: null
+    },
+    filledAt: {
+        type: Date,
+        required: true
+    },
+    odometer: {
+        type: Number,
+        required: true
+    },
+    litres: {
+        type: Number,
+        required: true
+    },
+    pricePerLitre: {
+        type: Number,
+        required: true
+    },
+    totalCost: {
+        type: Number,
+        required: true
+    },
+    // Economy is only measured between fills that brim the tank
+    fullTank: {
+        type: Boolean,
+        default: true
+    },
+    station: {
+        type: String,
+        default: ''
+    },
+    note: {
+        type: String,
+        default: ''
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+fuelEntrySchema.index({ userId: 1, vehicleId: 1, filledAt: 1 });
+
+module.exports = mongoose.model('FuelEntry', fuelEntrySchema);
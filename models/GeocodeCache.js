@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Reverse-geocoding results cached per coordinate grid cell
+const geocodeCacheSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    result: {
+        area: String,
+        suburb: String,
+        city: String,
+        state: String,
+        postcode: String,
+        country: String,
+        displayName: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Entries expire so changed boundaries and names are eventually picked up
+const ttlDays = parseInt(process.env.GEOCODE_CACHE_TTL_DAYS) || 90;
+geocodeCacheSchema.index({ createdAt: 1 }, { expireAfterSeconds: ttlDays * 24 * 60 * 60 });
+
+module.exports = mongoose.model('GeocodeCache', geocodeCacheSchema);
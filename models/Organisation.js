@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// A company or fleet whose managers review their drivers' trips
+const organisationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Email of the user who created the organisation
+    ownerId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('Organisation', organisationSchema);
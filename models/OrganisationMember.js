@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A user's role within an organisation
+const organisationMemberSchema = new mongoose.Schema({
+    organisationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organisation',
+        required: true
+    },
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // Owners manage the organisation, managers review trips, drivers submit them
+    role: {
+        type: String,
+        enum: ['owner', 'manager', 'driver'],
+        required: true
+    },
+    joinedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+organisationMemberSchema.index({ organisationId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('OrganisationMember', organisationMemberSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A saved location (home, office, depot) used to label trips that start or end there
+const placeSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    latitude: {
+        type: Number,
+        required: true
+    },
+    longitude: {
+        type: Number,
+        required: true
+    },
+    // Radius in metres
+    radius: {
+        type: Number,
+        default: 150
+    },
+    defaultPurpose: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+placeSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Place', placeSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription, used to deliver reminders to the service worker
+const pushSubscriptionSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    endpoint: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    keys: {
+        p256dh: {
+            type: String,
+            required: true
+        },
+        auth: {
+            type: String,
+            required: true
+        }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
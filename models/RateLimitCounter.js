@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Request count for one rate limit key in one fixed window. The limiter weighs the current
+// and previous windows together to approximate a sliding window across every instance
+const rateLimitCounterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    windowStart: {
+        type: Date,
+        required: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    // Counters are only needed for two windows, then MongoDB removes them
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+rateLimitCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
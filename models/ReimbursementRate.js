@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// How a user is reimbursed per kilometre for business trips
+const reimbursementRateSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    method: {
+        type: String,
+        enum: ['flat', 'tiered', 'ato'],
+        required: true
+    },
+    // Dollars per km for flat rates; for ATO rates it overrides the published rate
+    ratePerKm: {
+        type: Number,
+        default: null
+    },
+    // Tiered rates apply to cumulative kilometres within each financial year
+    // A tier with no upToKm covers everything above the previous tier
+    tiers: [{
+        _id: false,
+        upToKm: {
+            type: Number,
+            default: null
+        },
+        ratePerKm: {
+            type: Number,
+            required: true
+        }
+    }],
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+reimbursementRateSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReimbursementRate', reimbursementRateSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// A service schedule or expiry date that the reminder engine warns about
+const reminderSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // Reminders without a vehicle use the user's default odometer
+    vehicleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        default: null
+    },
+    type: {
+        type: String,
+        enum: ['service', 'registration', 'insurance', 'other'],
+        required: true
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Service schedules repeat every intervalKm and/or intervalMonths from the last service
+    intervalKm: {
+        type: Number,
+        default: null
+    },
+    intervalMonths: {
+        type: Number,
+        default: null
+    },
+    lastServiceOdometer: {
+        type: Number,
+        default: null
+    },
+    lastServiceDate: {
+        type: Date,
+        default: null
+    },
+    // Registration and insurance expire on a fixed date
+    dueDate: {
+        type: Date,
+        default: null
+    },
+    // How far ahead of the due point to start reminding
+    leadKm: {
+        type: Number,
+        default: 1000
+    },
+    leadDays: {
+        type: Number,
+        default: 14
+    },
+    // Last reminder stage sent, so each stage is only delivered once
+    lastNotifiedStage: {
+        type: String,
+        enum: ['upcoming', 'overdue', null],
+        default: null
+    },
+    lastNotifiedAt: {
+        type: Date,
+        default: null
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('Reminder', reminderSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Full-resolution GPS fixes, stored one document per point so long trips are never truncated
+const routePointSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true
+    },
+    tripId: {
+        type: Number,
+        required: true
+    },
+    latitude: {
+        type: Number,
+        required: true
+    },
+    longitude: {
+        type: Number,
+        required: true
+    },
+    accuracy: {
+        type: Number,
+        default: 0
+    },
+    timestamp: {
+        type: Date,
+        required: true
+    },
+    // Id assigned by the client for offline-queued points, used to de-duplicate syncs
+    clientId: String,
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+routePointSchema.index({ userId: 1, tripId: 1, timestamp: 1 });
+routePointSchema.index(
+    { userId: 1, tripId: 1, clientId: 1 },
+    { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('RoutePoint', routePointSchema);
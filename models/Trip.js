@@ -10,10 +10,21 @@ const tripSchema = new mongoose.Schema({
         required: true,
         index: true
     },
+    vehicleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        default: null,
+        index: true
+    },
     purpose: {
         type: String,
         required: true
     },
+    classification: {
+        type: String,
+        enum: ['business', 'private', 'commute'],
+        default: 'business'
+    },
     startDate: {
         type: String,
         required: true
@@ -24,11 +35,11 @@ const tripSchema = new mongoose.Schema({
     },
     startLatitude: {
         type: Number,
-        required: true
+        required: function () { return !this.importSource; }
     },
     startLongitude: {
         type: Number,
-        required: true
+        required: function () { return !this.importSource; }
     },
     startTime: {
         type: Date,
@@ -38,6 +49,25 @@ const tripSchema = new mongoose.Schema({
         type: String,
         default: 'Unknown Area'
     },
+    // Saved places the trip started or ended at, when their names were used as the area
+    startPlaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Place',
+        default: null
+    },
+    endPlaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Place',
+        default: null
+    },
+    // Address details behind startArea/endArea from the reverse geocoder
+    startLocation: {
+        suburb: String,
+        city: String,
+        state: String,
+        postcode: String,
+        country: String
+    },
     active: {
         type: Boolean,
         default: true
@@ -50,21 +80,176 @@ const tripSchema = new mongoose.Schema({
         type: String,
         default: 'Unknown Area'
     },
+    endLocation: {
+        suburb: String,
+        city: String,
+        state: String,
+        postcode: String,
+        country: String
+    },
     gpsDistance: {
         type: Number,
         default: 0
     },
     endOdometer: Number,
+    distanceSource: String,
+    // Distances measured server-side from routePoints before and after cleaning
+    rawRouteDistance: {
+        type: Number,
+        default: 0
+    },
+    cleanedRouteDistance: {
+        type: Number,
+        default: 0
+    },
+    routeCleaning: {
+        totalPoints: Number,
+        keptPoints: Number,
+        droppedInaccurate: Number,
+        droppedSpeedOutliers: Number,
+        droppedStationary: Number,
+        droppedPaused: Number
+    },
+    // Organisation the trip is visible to - set when it uses a fleet vehicle or is submitted for approval
+    organisationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organisation',
+        default: null,
+        index: true
+    },
+    // Manager approval: null until the driver submits the trip
+    approvalStatus: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected', null],
+        default: null
+    },
+    submittedAt: Date,
+    reviewedBy: String,
+    reviewedAt: Date,
+    approvalComments: [{
+        _id: false,
+        author: String,
+        role: String,
+        text: String,
+        status: String,
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Costs incurred on the trip, such as tolls, parking and fuel
+    expenses: [{
+        category: {
+            type: String,
+            enum: ['toll', 'parking', 'fuel', 'other'],
+            required: true
+        },
+        // Amounts include GST; gst records how much of the amount it was
+        amount: {
+            type: Number,
+            required: true
+        },
+        currency: {
+            type: String,
+            uppercase: true,
+            default: 'AUD'
+        },
+        gst: {
+            type: Number,
+            default: 0
+        },
+        note: {
+            type: String,
+            default: ''
+        },
+        receipt: {
+            key: String,
+            filename: String,
+            contentType: String,
+            size: Number,
+            uploadedAt: Date
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Trips found by the automatic trip detector stay drafts until the user confirms them
+    draft: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    // Set for trips brought in from a CSV logbook or GPX file rather than recorded live
+    importSource: {
+        type: String,
+        enum: ['csv', 'gpx', null],
+        default: null
+    },
     totalDistance: {
         type: Number,
         default: 0
     },
+    // Intermediate stops made during the trip, in order
+    stops: [{
+        _id: false,
+        id: Number,
+        latitude: Number,
+        longitude: Number,
+        area: String,
+        arrivalTime: Date,
+        departureTime: Date,
+        note: String
+    }],
+    // Distance of each leg between start, stops and end
+    legs: [{
+        _id: false,
+        fromArea: String,
+        toArea: String,
+        departureTime: Date,
+        arrivalTime: Date,
+        distance: Number,
+        distanceSource: String
+    }],
+    // Pauses taken during the trip
+    pauseIntervals: [{
+        _id: false,
+        pausedAt: Date,
+        resumedAt: Date
+    }],
+    // Trip durations in seconds
+    elapsedTime: {
+        type: Number,
+        default: 0
+    },
+    pausedTime: {
+        type: Number,
+        default: 0
+    },
+    movingTime: {
+        type: Number,
+        default: 0
+    },
+    // Simplified route for display; the full-resolution route is in the RoutePoint collection
+    routePointCount: {
+        type: Number,
+        default: 0
+    },
     routePoints: [{
         latitude: Number,
         longitude: Number,
         timestamp: Date,
-        accuracy: Number
+        accuracy: Number,
+        clientId: String
     }]
 });
 
+// Trip history sorts and filters
+tripSchema.index({ userId: 1, startTime: -1, _id: -1 });
+tripSchema.index({ userId: 1, totalDistance: -1, _id: -1 });
+tripSchema.index({ userId: 1, startDate: 1 });
+tripSchema.index({ userId: 1, vehicleId: 1, startTime: -1 });
+tripSchema.index({ userId: 1, distanceSource: 1, startTime: -1 });
+tripSchema.index({ organisationId: 1, approvalStatus: 1, startTime: -1 });
+
 module.exports = mongoose.model('Trip', tripSchema);
\ No newline at end of file
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Audit trail of alterations to completed trips. Revisions are only ever created, never changed.
+const tripRevisionSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        immutable: true
+    },
+    tripId: {
+        type: Number,
+        required: true,
+        immutable: true
+    },
+    editedBy: {
+        type: String,
+        required: true,
+        immutable: true
+    },
+    editedAt: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    },
+    reason: {
+        type: String,
+        default: '',
+        immutable: true
+    },
+    changes: {
+        type: [{
+            _id: false,
+            field: String,
+            oldValue: mongoose.Schema.Types.Mixed,
+            newValue: mongoose.Schema.Types.Mixed
+        }],
+        immutable: true
+    }
+});
+
+tripRevisionSchema.index({ userId: 1, tripId: 1, editedAt: 1 });
+
+// Block every update path so the history can't be rewritten
+function rejectRevisionChange(next) {
+    next(new Error('Trip revisions cannot be modified'));
+}
+tripRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectRevisionChange);
+tripRevisionSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return next(new Error('Trip revisions cannot be modified'));
+    }
+    next();
+});
+
+module.exports = mongoose.model('TripRevision', tripRevisionSchema);
@@ -17,6 +17,31 @@ const userSchema = new mongoose.Schema({
         required: true,
         trim: true
     },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: {
+        type: Date,
+        default: null
+    },
+    passwordChangedAt: {
+        type: Date,
+        default: null
+    },
+    // Consecutive failed sign-ins; reaching the threshold locks the account for longer each time
+    failedLogins: {
+        type: Number,
+        default: 0
+    },
+    lockoutLevel: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -14,6 +14,11 @@ const userDataSchema = new mongoose.Schema({
     activeTrip: {
         type: mongoose.Schema.Types.Mixed,
         default: null
+    },
+    // Automatic trip detector state for location points received while no trip is active
+    tripDetector: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
     }
 });
 
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const vehicleSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    registration: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true
+    },
+    make: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    model: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    fuelType: {
+        type: String,
+        enum: ['petrol', 'diesel', 'electric', 'hybrid', 'lpg', 'other'],
+        default: 'petrol'
+    },
+    currentOdometer: {
+        type: Number,
+        default: 0
+    },
+    // Fleet vehicles are shared with every member of the organisation
+    organisationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organisation',
+        default: null,
+        index: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// A registration can only be used once per user
+vehicleSchema.index({ userId: 1, registration: 1 }, { unique: true });
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
@@ -141,21 +141,28 @@ async function syncTripData() {
     const storedData = await getStoredTripData();
     
     if (storedData && storedData.length > 0) {
-      // Send stored data to server
-      for (const tripData of storedData) {
-        try {
-          const response = await fetch('/api/trip/sync', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(tripData)
-          });
+      // Send stored data to server as a single batch
+      try {
+        const response = await fetch('/api/trip/sync', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ items: storedData })
+        });
+        
+        if (response.ok) {
+          const result = await response.json();
           
-          if (response.ok) {
-            await removeStoredTripData(tripData.id);
+          // Only remove records the server actually stored (or already had)
+          for (const itemResult of result.results || []) {
+            if (itemResult && itemResult.accepted) {
+              await removeStoredTripData(itemResult.id);
+            } else if (itemResult) {
+              console.warn('Service Worker: Trip data rejected:', itemResult.id, itemResult.error);
+            }
           }
-        } catch (error) {
-          console.error('Service Worker: Failed to sync trip data:', error);
         }
+      } catch (error) {
+        console.error('Service Worker: Failed to sync trip data:', error);
       }
     }
     
@@ -210,7 +217,11 @@ async function getStoredTripData() {
     const transaction = db.transaction(['tripData'], 'readonly');
     const store = transaction.objectStore('tripData');
     
-    return await store.getAll();
+    return await new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+    });
   } catch (error) {
     console.error('Service Worker: Failed to get stored trip data:', error);
     return [];
@@ -294,23 +305,27 @@ self.addEventListener('push', (event) => {
     ]
   };
 
+  let title = 'TripGo';
   if (event.data) {
     try {
-      const pushData = event.data.json();
-      options = { ...options, ...pushData };
+      // Server pushes (e.g. service reminders) can set their own title and click-through url
+      const { title: pushTitle, data, ...pushOptions } = event.data.json();
+      title = pushTitle || title;
+      options = { ...options, ...pushOptions, data: { ...options.data, ...data } };
     } catch (error) {
       console.error('Service Worker: Error parsing push data:', error);
     }
   }
 
   event.waitUntil(
-    self.registration.showNotification('TripGo', options)
+    self.registration.showNotification(title, options)
   );
 });
 
 // Handle notification clicks with enhanced functionality
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || '/';
 
   if (event.action === 'open') {
     event.waitUntil(
@@ -324,7 +339,7 @@ self.addEventListener('notificationclick', (event) => {
         
         // Otherwise, open new window
         if (clients.openWindow) {
-          return clients.openWindow('/');
+          return clients.openWindow(url);
         }
       })
     );
@@ -334,7 +349,7 @@ self.addEventListener('notificationclick', (event) => {
   } else {
     // Default action - open app
     event.waitUntil(
-      clients.openWindow('/')
+      clients.openWindow(url)
     );
   }
 });
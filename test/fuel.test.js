@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildFuelLog } = require('../index');
+
+function fill(filledAt, odometer, litres, fullTank = true) {
+    return { filledAt: new Date(filledAt), odometer, litres, totalCost: litres * 2, fullTank };
+}
+
+test('economy is measured between full tanks, carrying partial fills forward', () => {
+    const { entries, summary } = buildFuelLog([
+        fill('2025-03-01', 10000, 40),
+        fill('2025-03-05', 10300, 10, false),
+        fill('2025-03-10', 10500, 30)
+    ], [], 10500);
+    
+    assert.strictEqual(entries[0].litresPer100Km, null);
+    assert.strictEqual(entries[1].litresPer100Km, null);
+    assert.strictEqual(entries[2].distanceSinceLastFull, 500);
+    assert.strictEqual(entries[2].litresPer100Km, 8);
+    assert.strictEqual(entries[2].costPerKm, 0.16);
+    assert.strictEqual(summary.measuredDistance, 500);
+    assert.strictEqual(summary.averageLitresPer100Km, 8);
+    assert.strictEqual(summary.totalLitres, 80);
+    assert.strictEqual(summary.suspiciousCount, 0);
+});
+
+test('fill-ups are ordered by date before they are compared', () => {
+    const { entries } = buildFuelLog([fill('2025-03-10', 10500, 40), fill('2025-03-01', 10000, 40)], [], 10500);
+    assert.deepStrictEqual(entries.map(entry => entry.odometer), [10000, 10500]);
+    assert.strictEqual(entries[1].litresPer100Km, 8);
+});
+
+test('implausible economy is flagged and left out of the averages', () => {
+    const { entries, summary } = buildFuelLog([
+        fill('2025-03-01', 10000, 40),
+        fill('2025-03-02', 10050, 40),
+        fill('2025-03-10', 10550, 40)
+    ], [], 10550);
+    
+    assert.strictEqual(entries[1].suspicious, true);
+    assert.match(entries[1].flags[0], /implausible/);
+    assert.strictEqual(entries[2].suspicious, false);
+    assert.strictEqual(summary.measuredDistance, 500);
+    assert.strictEqual(summary.suspiciousCount, 1);
+});
+
+test('odometer readings are checked against earlier fills and the trips either side', () => {
+    const trips = [
+        { startDate: '2025-03-02', startTime: new Date('2025-03-02T08:00:00Z'), endTime: new Date('2025-03-02T09:00:00Z'), startOdometer: 10000, endOdometer: 10100 },
+        { startDate: '2025-03-04', startTime: new Date('2025-03-04T08:00:00Z'), endTime: new Date('2025-03-04T09:00:00Z'), startOdometer: 10100, endOdometer: 10200 }
+    ];
+    const { entries } = buildFuelLog([
+        fill('2025-03-03T12:00:00Z', 10150, 30, false),
+        fill('2025-03-05T12:00:00Z', 10120, 30, false),
+        fill('2025-03-06T12:00:00Z', 10900, 30, false)
+    ], trips, 10200);
+    
+    assert.match(entries[0].flags.join(' '), /higher than the starting odometer of the trip after it/);
+    assert.match(entries[1].flags.join(' '), /lower than the previous fill-up/);
+    assert.match(entries[1].flags.join(' '), /lower than the finishing odometer of the trip before it/);
+    assert.match(entries[2].flags.join(' '), /ahead of the current odometer/);
+});
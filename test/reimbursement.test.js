@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Trip = require('../models/Trip');
+const { priceTripKilometres, buildReimbursementClaim } = require('../index');
+
+const atoRate = { name: 'ATO cents per km', method: 'ato', ratePerKm: null, tiers: [] };
+
+test('flat rates pay every kilometre at the same rate', () => {
+    const priced = priceTripKilometres({ method: 'flat', ratePerKm: 0.5 }, 120, 10000, 2025);
+    assert.deepStrictEqual(priced, { claimableKm: 120, amount: 60 });
+});
+
+test('the ATO rate is looked up by financial year', () => {
+    const priced = priceTripKilometres(atoRate, 100, 0, 2024);
+    assert.strictEqual(priced.claimableKm, 100);
+    assert.strictEqual(Math.round(priced.amount * 100) / 100, 85);
+    assert.strictEqual(priced.warning, undefined);
+});
+
+test('the ATO method stops at 5,000 km', () => {
+    assert.strictEqual(priceTripKilometres(atoRate, 300, 4800, 2025).claimableKm, 200);
+    assert.deepStrictEqual(priceTripKilometres(atoRate, 50, 5000, 2025), { claimableKm: 0, amount: 0, warning: undefined });
+});
+
+test('an ATO rate on the rate itself overrides the table', () => {
+    const priced = priceTripKilometres({ ...atoRate, ratePerKm: 1 }, 10, 0, 2025);
+    assert.strictEqual(priced.amount, 10);
+});
+
+test('financial years after the latest known ATO rate use that rate with a warning', () => {
+    const priced = priceTripKilometres(atoRate, 100, 0, 2099);
+    assert.strictEqual(priced.claimableKm, 100);
+    assert.ok(priced.amount > 0);
+    assert.match(priced.warning, /2098-99 financial year yet/);
+});
+
+test('financial years before the first known ATO rate are refused', () => {
+    assert.match(priceTripKilometres(atoRate, 100, 0, 2000).error, /1999-00 financial year/);
+});
+
+test('tiered rates split a trip across the tiers it spans', () => {
+    const rate = { method: 'tiered', tiers: [{ ratePerKm: 0.4 }, { upToKm: 1000, ratePerKm: 0.9 }] };
+    const priced = priceTripKilometres(rate, 200, 900, 2025);
+    assert.strictEqual(priced.claimableKm, 200);
+    assert.strictEqual(Math.round(priced.amount * 100) / 100, 130);
+});
+
+test('claims carry the ATO cap from earlier in the financial year and reset it on 1 July', async (t) => {
+    const trips = [
+        { id: 1, startDate: '2025-05-01', vehicleId: 'car', classification: 'business', totalDistance: 4990, expenses: [] },
+        { id: 2, startDate: '2025-06-15', vehicleId: 'car', classification: 'business', totalDistance: 100, expenses: [] },
+        { id: 3, startDate: '2025-06-20', vehicleId: 'car', classification: 'private', totalDistance: 40, expenses: [{ amount: 5, currency: 'AUD' }] },
+        {
+            id: 4, startDate: '2025-07-01', vehicleId: 'car', classification: 'business', totalDistance: 100,
+            expenses: [{ amount: 12.5, currency: 'AUD' }, { amount: 3, currency: 'USD' }]
+        }
+    ];
+    let query;
+    t.mock.method(Trip, 'find', (filter) => {
+        query = filter;
+        return { sort: async () => trips };
+    });
+    
+    const claim = await buildReimbursementClaim('driver@example.com', { startDate: '2025-06-01', endDate: '2025-07-31', vehicle: null, rate: atoRate });
+    
+    assert.strictEqual(query.startDate.$gte, '2024-07-01');
+    assert.deepStrictEqual(claim.trips.map(row => row.tripId), [2, 3, 4]);
+    assert.deepStrictEqual(claim.trips.map(row => row.claimableKm), [10, 0, 100]);
+    assert.strictEqual(claim.trips[0].mileageAmount, 8.8);
+    // Private trips claim neither kilometres nor expenses; only AUD expenses are added
+    assert.strictEqual(claim.trips[1].amount, 0);
+    assert.strictEqual(claim.trips[2].expensesAmount, 12.5);
+    assert.strictEqual(claim.trips[2].excludedExpenses, 1);
+    assert.strictEqual(claim.totalClaimableKm, 110);
+    assert.strictEqual(claim.totalAmount, Math.round((8.8 + 88 + 12.5) * 100) / 100);
+    assert.deepStrictEqual(claim.warnings, []);
+});
+
+test('claims fail when a trip has no ATO rate', async (t) => {
+    t.mock.method(Trip, 'find', () => ({
+        sort: async () => [{ id: 1, startDate: '2000-03-01', classification: 'business', totalDistance: 10, expenses: [] }]
+    }));
+    
+    const claim = await buildReimbursementClaim('driver@example.com', { startDate: '2000-01-01', endDate: '2000-06-30', vehicle: null, rate: atoRate });
+    assert.match(claim.error, /1999-00 financial year/);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { cleanRoutePoints, simplifyRoutePoints } = require('../index');
+
+const start = new Date('2025-03-03T08:00:00Z').getTime();
+
+// A point roughly `north` metres north and `east` metres east of a fixed spot, `seconds` into the drive
+function fix(north, east, seconds, accuracy = 5) {
+    return {
+        latitude: -33.87 + north / 111195,
+        longitude: 151.21 + east / (111195 * Math.cos(-33.87 * Math.PI / 180)),
+        timestamp: new Date(start + seconds * 1000),
+        accuracy
+    };
+}
+
+test('cleaning drops inaccurate fixes', () => {
+    const { points, stats } = cleanRoutePoints([fix(0, 0, 0), fix(500, 0, 30, 200), fix(1000, 0, 60)]);
+    assert.strictEqual(points.length, 2);
+    assert.strictEqual(stats.droppedInaccurate, 1);
+});
+
+test('cleaning drops a single jump faster than a car can travel', () => {
+    const { points, stats, rawDistance, cleanedDistance } = cleanRoutePoints([
+        fix(0, 0, 0), fix(300, 0, 20), fix(5000, 0, 30), fix(600, 0, 40), fix(900, 0, 60)
+    ]);
+    assert.strictEqual(stats.droppedSpeedOutliers, 1);
+    assert.strictEqual(points.length, 4);
+    assert.ok(rawDistance > 9);
+    assert.ok(Math.abs(cleanedDistance - 0.9) < 0.02);
+});
+
+test('cleaning follows the new position once several fast fixes agree', () => {
+    const { points, stats } = cleanRoutePoints([
+        fix(0, 0, 0), fix(20000, 0, 10), fix(20100, 0, 20), fix(20200, 0, 30), fix(20300, 0, 40)
+    ]);
+    assert.strictEqual(stats.droppedSpeedOutliers, 3);
+    assert.strictEqual(points[points.length - 1].latitude, fix(20300, 0, 40).latitude);
+});
+
+test('cleaning ignores wander while stationary', () => {
+    const { points, stats, cleanedDistance } = cleanRoutePoints([
+        fix(0, 0, 0), fix(3, 4, 30), fix(-4, 2, 60), fix(2, -5, 90), fix(400, 0, 150)
+    ]);
+    assert.strictEqual(stats.droppedStationary, 3);
+    assert.strictEqual(points.length, 2);
+    assert.ok(Math.abs(cleanedDistance - 0.4) < 0.01);
+});
+
+test('cleaning sorts fixes by time and skips ones without coordinates', () => {
+    const { points, stats } = cleanRoutePoints([fix(600, 0, 60), { timestamp: new Date(start) }, fix(0, 0, 0), fix(300, 0, 30)]);
+    assert.strictEqual(stats.totalPoints, 3);
+    assert.deepStrictEqual(points.map(point => point.timestamp.getTime()), [start, start + 30000, start + 60000]);
+});
+
+test('simplifying keeps short routes as they are', () => {
+    const points = [fix(0, 0, 0), fix(100, 0, 10)];
+    assert.strictEqual(simplifyRoutePoints(points), points);
+});
+
+test('simplifying removes points on a straight line', () => {
+    const points = [0, 100, 200, 300, 400].map((north, i) => fix(north, 0, i * 10));
+    assert.deepStrictEqual(simplifyRoutePoints(points), [points[0], points[4]]);
+});
+
+test('simplifying keeps corners and drops small deviations', () => {
+    const points = [fix(0, 0, 0), fix(250, 2, 10), fix(500, 0, 20), fix(500, 250, 30), fix(500, 500, 40)];
+    assert.deepStrictEqual(simplifyRoutePoints(points), [points[0], points[2], points[4]]);
+});
+
+test('simplifying uses the given tolerance', () => {
+    const points = [fix(0, 0, 0), fix(250, 20, 10), fix(500, 0, 20)];
+    assert.strictEqual(simplifyRoutePoints(points, 5).length, 3);
+    assert.strictEqual(simplifyRoutePoints(points, 50).length, 2);
+});